@@ -2,204 +2,2188 @@
 
 Object.defineProperty(exports, '__esModule', { value: true });
 
+var _toConsumableArray = require('@babel/runtime/helpers/toConsumableArray');
 var _slicedToArray = require('@babel/runtime/helpers/slicedToArray');
+var _typeof = require('@babel/runtime/helpers/typeof');
+var _defineProperty = require('@babel/runtime/helpers/defineProperty');
 var react = require('react');
 var dequal = require('dequal');
 var Cookies = require('js-cookie');
 
 function _interopDefaultLegacy (e) { return e && typeof e === 'object' && 'default' in e ? e : { 'default': e }; }
 
+var _toConsumableArray__default = /*#__PURE__*/_interopDefaultLegacy(_toConsumableArray);
 var _slicedToArray__default = /*#__PURE__*/_interopDefaultLegacy(_slicedToArray);
+var _typeof__default = /*#__PURE__*/_interopDefaultLegacy(_typeof);
+var _defineProperty__default = /*#__PURE__*/_interopDefaultLegacy(_defineProperty);
 var Cookies__default = /*#__PURE__*/_interopDefaultLegacy(Cookies);
 
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); if (enumerableOnly) symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; }); keys.push.apply(keys, symbols); } return keys; }
+
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = arguments[i] != null ? arguments[i] : {}; if (i % 2) { ownKeys(Object(source), true).forEach(function (key) { _defineProperty__default['default'](target, key, source[key]); }); } else if (Object.getOwnPropertyDescriptors) { Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)); } else { ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } } return target; }
+// by another tab. Being a symbol it can never collide with the action types of
+// the reducer passed to useStoredReducer.
+
+var REPLACE_STATE = Symbol('replaceState'); // Internal method returned by useDelayedAsync, executing the function with
+// options overriding those passed to the hook. Used by useAsync to keep the
+// previous result while refetching in the background.
+
+var EXECUTE_WITH_OPTIONS = Symbol('executeWithOptions'); // The built in conflict policies for useStoredReducer. Each one receives the
+// local state and the state written by another tab, and returns the state to
+// continue with.
+
+var conflictPolicies = {
+  lastWriterWins: function lastWriterWins(local, remote) {
+    return remote;
+  },
+  keepLocal: function keepLocal(local, remote) {
+    return local;
+  }
+}; // The key used by structuredSerializer to tag values JSON can't represent.
+
+var TYPE = '$type';
+
+var toTagged = function toTagged(value) {
+  var _ref9;
+
+  // Converts a value into one JSON can represent, replacing the values it can't
+  // with tagged objects describing them.
+  if (value === undefined) {
+    return _defineProperty__default['default']({}, TYPE, 'undefined');
+  }
+
+  if (typeof value === 'bigint') {
+    var _ref2;
+
+    return _ref2 = {}, _defineProperty__default['default'](_ref2, TYPE, 'BigInt'), _defineProperty__default['default'](_ref2, "value", value.toString()), _ref2;
+  }
+
+  if (value === null || _typeof__default['default'](value) !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    var _ref3;
+
+    return _ref3 = {}, _defineProperty__default['default'](_ref3, TYPE, 'Date'), _defineProperty__default['default'](_ref3, "value", value.getTime()), _ref3;
+  }
+
+  if (value instanceof RegExp) {
+    var _ref4;
+
+    return _ref4 = {}, _defineProperty__default['default'](_ref4, TYPE, 'RegExp'), _defineProperty__default['default'](_ref4, "source", value.source), _defineProperty__default['default'](_ref4, "flags", value.flags), _ref4;
+  }
+
+  if (value instanceof Map) {
+    var _ref7;
+
+    return _ref7 = {}, _defineProperty__default['default'](_ref7, TYPE, 'Map'), _defineProperty__default['default'](_ref7, "value", Array.from(value, function (_ref5) {
+      var _ref6 = _slicedToArray__default['default'](_ref5, 2),
+          k = _ref6[0],
+          v = _ref6[1];
+
+      return [toTagged(k), toTagged(v)];
+    })), _ref7;
+  }
+
+  if (value instanceof Set) {
+    var _ref8;
+
+    return _ref8 = {}, _defineProperty__default['default'](_ref8, TYPE, 'Set'), _defineProperty__default['default'](_ref8, "value", Array.from(value, toTagged)), _ref8;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toTagged);
+  }
+
+  var object = {};
+  Object.keys(value).forEach(function (key) {
+    object[key] = toTagged(value[key]);
+  }); // Objects that happen to contain the tag key are tagged themselves, so they
+  // are not mistaken for one of the values above.
+
+  return TYPE in value ? (_ref9 = {}, _defineProperty__default['default'](_ref9, TYPE, 'Object'), _defineProperty__default['default'](_ref9, "value", object), _ref9) : object;
+};
+
+var fromTagged = function fromTagged(value) {
+  // Reverses toTagged.
+  if (value === null || _typeof__default['default'](value) !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(fromTagged);
+  }
+
+  var fromTaggedObject = function fromTaggedObject(object) {
+    var result = {};
+    Object.keys(object).forEach(function (key) {
+      result[key] = fromTagged(object[key]);
+    });
+    return result;
+  };
+
+  switch (value[TYPE]) {
+    case 'undefined':
+      return undefined;
+
+    case 'BigInt':
+      return BigInt(value.value);
+
+    case 'Date':
+      // Invalid dates have the time NaN, which JSON stores as null.
+      return new Date(value.value === null ? NaN : value.value);
+
+    case 'RegExp':
+      return new RegExp(value.source, value.flags);
+
+    case 'Map':
+      return new Map(value.value.map(function (_ref10) {
+        var _ref11 = _slicedToArray__default['default'](_ref10, 2),
+            k = _ref11[0],
+            v = _ref11[1];
+
+        return [fromTagged(k), fromTagged(v)];
+      }));
+
+    case 'Set':
+      return new Set(value.value.map(fromTagged));
+
+    case 'Object':
+      return fromTaggedObject(value.value);
+
+    default:
+      return fromTaggedObject(value);
+  }
+}; // Serializers convert the state to and from the string stored by
+// useStoredReducer. jsonSerializer is the default, while structuredSerializer
+// also round-trips Date, Map, Set, BigInt, RegExp and undefined.
+
+
+var jsonSerializer = {
+  serialize: function serialize(value) {
+    return JSON.stringify(value);
+  },
+  deserialize: function deserialize(item) {
+    return JSON.parse(item);
+  }
+};
+var structuredSerializer = {
+  serialize: function serialize(value) {
+    return JSON.stringify(toTagged(value));
+  },
+  deserialize: function deserialize(item) {
+    return fromTagged(JSON.parse(item));
+  }
+}; // Storage adapters are asynchronous alternatives to the Web Storage API that
+// can be passed as storage to useStoredReducer. They implement `getItem`,
+// `setItem` and `removeItem`, each returning a promise.
+
+var createMemoryStorage = function createMemoryStorage() {
+  /*
+  Creates a storage adapter keeping the items in memory. The items are lost on
+  a page refresh, but survive the component being remounted.
+  */
+  var items = new Map();
+  return {
+    getItem: function getItem(key) {
+      return Promise.resolve(items.has(key) ? items.get(key) : null);
+    },
+    setItem: function setItem(key, value) {
+      items.set(key, String(value));
+      return Promise.resolve();
+    },
+    removeItem: function removeItem(key) {
+      items["delete"](key);
+      return Promise.resolve();
+    }
+  };
+};
+
+var createFallbackStorage = function createFallbackStorage() {
+  // The in-memory store useStoredReducer falls back to when the storage fails.
+  // Unlike the adapters it's synchronous, so it can be read while rendering.
+  var items = new Map();
+  return {
+    getItem: function getItem(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    setItem: function setItem(key, value) {
+      items.set(key, String(value));
+    },
+    removeItem: function removeItem(key) {
+      items["delete"](key);
+    }
+  };
+};
+
+var createLocalStorage = function createLocalStorage() {
+  var storage = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : window.localStorage;
+
+  /*
+  Creates a storage adapter wrapping the browsers localStorage, or any other
+  storage implementing the Web Storage API, e.g. sessionStorage.
+  */
+  return {
+    getItem: function getItem(key) {
+      return Promise.resolve().then(function () {
+        return storage.getItem(key);
+      });
+    },
+    setItem: function setItem(key, value) {
+      return Promise.resolve().then(function () {
+        return storage.setItem(key, value);
+      });
+    },
+    removeItem: function removeItem(key) {
+      return Promise.resolve().then(function () {
+        return storage.removeItem(key);
+      });
+    }
+  };
+};
+var createIndexedDBStorage = function createIndexedDBStorage() {
+  var databaseName = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : 'react-hooks';
+
+  /*
+  Creates a storage adapter storing the items in an IndexedDB database with the
+  given name. Unlike localStorage it is not limited to a few megabytes, and
+  reading and writing does not block the main thread.
+  */
+  var storeName = 'items'; // The database is opened lazily, on the first access.
+
+  var database = null;
+
+  var open = function open() {
+    if (!database) {
+      database = new Promise(function (resolve, reject) {
+        var request = indexedDB.open(databaseName, 1);
+
+        request.onupgradeneeded = function () {
+          return request.result.createObjectStore(storeName);
+        };
+
+        request.onsuccess = function () {
+          return resolve(request.result);
+        };
+
+        request.onerror = function () {
+          return reject(request.error);
+        };
+      });
+    }
+
+    return database;
+  }; // Runs the operation in a transaction, resolving with the result of its
+  // request once the transaction has completed.
+
+
+  var transact = function transact(mode, operation) {
+    return open().then(function (database) {
+      return new Promise(function (resolve, reject) {
+        var transaction = database.transaction(storeName, mode);
+        var request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = function () {
+          return resolve(request.result);
+        };
+
+        transaction.onerror = function () {
+          return reject(transaction.error);
+        };
+
+        transaction.onabort = function () {
+          return reject(transaction.error);
+        };
+      });
+    });
+  };
+
+  return {
+    getItem: function getItem(key) {
+      return transact('readonly', function (store) {
+        return store.get(key);
+      }).then(function (value) {
+        return value === undefined ? null : value;
+      });
+    },
+    setItem: function setItem(key, value) {
+      return transact('readwrite', function (store) {
+        return store.put(String(value), key);
+      }).then(function () {});
+    },
+    removeItem: function removeItem(key) {
+      return transact('readwrite', function (store) {
+        return store["delete"](key);
+      }).then(function () {});
+    }
+  };
+};
+
+var migrate = function migrate(state, from, version, migrations) {
+  /*
+  Upgrades state stored by useStoredReducer from one version to another, by
+  applying the migration registered for each version in turn.
+  */
+  if (from > version) {
+    throw new Error("Stored state has version ".concat(from, ", which is newer than ").concat(version, "."));
+  }
+
+  for (; from < version; from++) {
+    if (typeof migrations[from] !== 'function') {
+      throw new Error("No migration from version ".concat(from, " of the stored state."));
+    }
+
+    state = migrations[from](state, from);
+  }
+
+  return state;
+};
+
 var useStoredReducer = function useStoredReducer(reducer, initialState, storageKey) {
   var init = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : function (i) {
     return i;
   };
   var storage = arguments.length > 4 && arguments[4] !== undefined ? arguments[4] : window.localStorage;
+  var options = arguments.length > 5 && arguments[5] !== undefined ? arguments[5] : {};
 
   /*
   Equivalent to Reacts useReducer, but the state is stored either in the browsers
   localStorage or sessionStorage so it is persisted through a page refresh. It
   accepts an reducer, initial state, an identifying key, optionally an init
   function, and the storage engine to use, which defaults to `window.localStorage`.
+   Updates written by other tabs are merged into the local state. The `sync`
+  option controls how they are received; `true` listens for storage events,
+  `'broadcast'` uses a BroadcastChannel and `false` disables syncing. The
+  `conflict` option decides what to do with them; `'lastWriterWins'`,
+  `'keepLocal'`, or a function `(local, remote) => state`.
+   Set the `version` option to store the version of the state next to it. Stored
+  state of an older version is upgraded by the `migrations`, a map from each
+  version to a function `(oldState, fromVersion) => newState`. State that can't
+  be read or migrated is replaced by the initial state, and the error passed to
+  the `onError` callback, which defaults to `console.error`.
+   The state is stored as JSON. Pass a `serializer`, an object with `serialize`
+  and `deserialize` functions, to store it in another format, e.g. the provided
+  `structuredSerializer`.
+   Besides the Web Storage API, storage can be an asynchronous storage adapter,
+  e.g. one created by `createIndexedDBStorage`. The stored state is then read
+  after the first render, and until it has been the initial state is used and
+  nothing is written. Along with the state and dispatch function the hook
+  returns an object whose `hydrated` flag tells whether the read has finished.
+   By default the state is written as soon as it changes. The `writeStrategy`
+  option can defer it; `{debounce: ms}` waits until the state has not changed
+  for the given time, `'idle'` until the browser is idle and `'pagehide'` until
+  the page is hidden. Pending writes are always flushed on unmount.
+   Set the `ttl` option to let the stored state expire the given number of
+  milliseconds after it was last written; expired state is treated as absent.
+  The returned object also holds a `reset` function, which removes the state
+  from storage and restores the initial state.
+   The key may change between renders, in which case the state stored under the
+  new key is loaded, or initialized if there is none.
+   If the storage is unavailable or full, e.g. in private browsing, the state is
+  kept in an in-memory store instead, and the error passed to the
+  `onStorageError` callback, which defaults to `onError`. The `status` of the
+  returned object tells whether the state is `'persisted'`, `'memoryOnly'`, or
+  if the last write failed with an `'error'`, e.g. because the state could not
+  be serialized.
   */
-  // We pass a custom init function to useReducer, to ensure that we're only reading
-  // from storage once, and lazily.
-  var _useReducer = react.useReducer(reducer, initialState, function (initialState) {
+  var _options$sync = options.sync,
+      sync = _options$sync === void 0 ? true : _options$sync,
+      _options$conflict = options.conflict,
+      conflict = _options$conflict === void 0 ? 'lastWriterWins' : _options$conflict,
+      version = options.version,
+      _options$migrations = options.migrations,
+      migrations = _options$migrations === void 0 ? {} : _options$migrations,
+      _options$onError = options.onError,
+      onError = _options$onError === void 0 ? console.error : _options$onError,
+      _options$onStorageErr = options.onStorageError,
+      onStorageError = _options$onStorageErr === void 0 ? onError : _options$onStorageErr,
+      _options$serializer = options.serializer,
+      serializer = _options$serializer === void 0 ? jsonSerializer : _options$serializer,
+      _options$writeStrateg = options.writeStrategy,
+      writeStrategy = _options$writeStrateg === void 0 ? 'immediate' : _options$writeStrateg,
+      ttl = options.ttl; // Store the error callbacks in refs, so the effects below always call the
+  // latest versions of them.
+
+  var savedOnError = react.useRef(onError);
+  var savedOnStorageError = react.useRef(onStorageError);
+  react.useEffect(function () {
+    savedOnError.current = onError;
+    savedOnStorageError.current = onStorageError;
+  }, [onError, onStorageError]); // Convert between the state and the item stored. If versioning or expiry is
+  // enabled, the state is wrapped in an envelope holding its version and the
+  // time it was written. Decoding returns the state and that time, or null if
+  // the state has expired.
+
+  var enveloped = version !== undefined || ttl !== undefined;
+
+  var encode = function encode(state, savedAt) {
+    if (!enveloped) {
+      return serializer.serialize(state);
+    }
+
+    var envelope = {};
+
+    if (version !== undefined) {
+      envelope.version = version;
+    }
+
+    if (savedAt !== undefined) {
+      envelope.savedAt = savedAt;
+    }
+
+    envelope.state = state;
+    return serializer.serialize(envelope);
+  };
+
+  var decode = function decode(item) {
+    var data = serializer.deserialize(item);
+
+    if (!enveloped) {
+      return {
+        state: data
+      };
+    } // State stored before versioning or expiry was enabled lacks the envelope,
+    // and counts as version 0 that never expires.
+
+
+    var isEnvelope = data !== null && _typeof__default['default'](data) === 'object' && 'state' in data && ('version' in data || 'savedAt' in data);
+
+    var _ref12 = isEnvelope ? data : {
+      state: data
+    },
+        state = _ref12.state,
+        _ref12$version = _ref12.version,
+        from = _ref12$version === void 0 ? 0 : _ref12$version,
+        savedAt = _ref12.savedAt;
+
+    if (ttl !== undefined && savedAt !== undefined && savedAt + ttl <= Date.now()) {
+      return null;
+    }
+
+    return {
+      state: version === undefined ? state : migrate(state, from, version, migrations),
+      savedAt: savedAt
+    };
+  }; // The last value read from or written to storage. Used to avoid writing back
+  // the same value, which would otherwise make tabs echo each others updates.
+
+
+  var lastItem = react.useRef(null); // The time the state was last written, if expiry is enabled.
+
+  var savedAt = react.useRef(undefined); // The state restored by reset, which is not written to storage, so the key
+  // stays removed until the state changes again.
+
+  var resetState = react.useRef(undefined); // The pending read of an asynchronous storage adapter, if any.
+
+  var pendingRead = react.useRef(null); // The in-memory store used instead of the storage, once it has failed. It's
+  // read before the storage, as it holds the latest state of keys written since.
+
+  var fallback = react.useRef(null); // We wrap the reducer so the state can be replaced by updates from other tabs,
+  // without requiring the provided reducer to know about them.
+
+  var storedReducer = function storedReducer(state, action) {
+    return action && action.type === REPLACE_STATE ? action.update(state) : reducer(state, action);
+  }; // The key the current state was read from.
+
+
+  var loadedKey = react.useRef(storageKey);
+
+  var read = function read() {
     // Try to fetch and parse a previously stored state. If it does not exist
     // or can't be retrieved;
+    var item = fallback.current ? fallback.current.getItem(storageKey) : null;
+
+    try {
+      if (item === null) {
+        item = storage.getItem(storageKey);
+      }
+    } catch (error) {
+      if (!fallback.current) {
+        fallback.current = createFallbackStorage();
+      }
+
+      savedOnStorageError.current(error);
+    }
+
     try {
-      var item = storage.getItem(storageKey);
-      if (item) return JSON.parse(item);
+      if (item && typeof item.then === 'function') {
+        pendingRead.current = item;
+      } else if (item) {
+        var stored = decode(item);
+
+        if (stored) {
+          lastItem.current = item;
+          savedAt.current = stored.savedAt;
+          return stored.state;
+        }
+      }
     } catch (error) {
-      console.error(error);
+      savedOnError.current(error);
     } // Use the provided initialState or init function.
 
 
     return init(initialState);
-  }),
+  }; // We pass a custom init function to useReducer, to ensure that we're only reading
+  // from storage once, and lazily.
+
+
+  var _useReducer = react.useReducer(storedReducer, initialState, read),
       _useReducer2 = _slicedToArray__default['default'](_useReducer, 2),
       state = _useReducer2[0],
-      dispatch = _useReducer2[1]; // Whenever the state changes, try to persist it to storage
+      dispatch = _useReducer2[1];
+
+  var _useState = react.useState(function () {
+    return pendingRead.current === null;
+  }),
+      _useState2 = _slicedToArray__default['default'](_useState, 2),
+      hydrated = _useState2[0],
+      setHydrated = _useState2[1];
+
+  var _useState3 = react.useState(function () {
+    return fallback.current ? 'memoryOnly' : 'persisted';
+  }),
+      _useState4 = _slicedToArray__default['default'](_useState3, 2),
+      status = _useState4[0],
+      setStatus = _useState4[1]; // Track whether we're mounted, as failed writes may be reported after unmount.
+  // Declared before the effect flushing pending writes, so it's cleaned up first.
+
+
+  var mounted = react.useRef(false);
+  react.useEffect(function () {
+    mounted.current = true;
+    return function () {
+      mounted.current = false;
+    };
+  }, []);
+
+  var updateStatus = function updateStatus(status) {
+    if (mounted.current) {
+      setStatus(status);
+    }
+  }; // Switch to the in-memory store once the storage has failed, e.g. because
+  // it's unavailable or full, so we don't keep trying to write to it.
+
+
+  var fallBack = function fallBack(error) {
+    savedOnStorageError.current(error);
+
+    if (!fallback.current) {
+      fallback.current = createFallbackStorage();
+    }
+
+    updateStatus('memoryOnly');
+  }; // Finish reading from an asynchronous storage adapter, replacing the initial
+  // state with the stored one.
+
+
+  react.useEffect(function () {
+    var pending = pendingRead.current;
+
+    if (!pending) {
+      return;
+    }
+
+    pendingRead.current = null;
+    var cancelled = false;
+    pending.then(function (item) {
+      if (cancelled || !item) {
+        return;
+      }
+
+      try {
+        var stored = decode(item);
+
+        if (stored) {
+          lastItem.current = item;
+          savedAt.current = stored.savedAt;
+          dispatch({
+            type: REPLACE_STATE,
+            update: function update() {
+              return stored.state;
+            }
+          });
+        }
+      } catch (error) {
+        savedOnError.current(error);
+      }
+    }, function (error) {
+      if (!cancelled) {
+        fallBack(error);
+      }
+    }).then(function () {
+      if (!cancelled) {
+        setHydrated(true);
+      }
+    });
+    return function () {
+      cancelled = true;
+    };
+  }, [storageKey]); // Store the conflict policy in a ref, so an inline merge function does not
+  // cause us to re-subscribe on every render.
+
+  var savedConflict = react.useRef();
+  react.useEffect(function () {
+    savedConflict.current = typeof conflict === 'function' ? conflict : conflictPolicies[conflict];
+  }, [conflict]); // Listen for updates written by other tabs and merge them into the state.
+
+  var channel = react.useRef(null);
+  react.useEffect(function () {
+    if (!sync) {
+      return;
+    }
+
+    var receive = function receive(item) {
+      // The key was removed, i.e. the other tab reset the state.
+      if (item === null) {
+        lastItem.current = null;
+        savedAt.current = undefined;
+
+        if (savedConflict.current !== conflictPolicies.keepLocal) {
+          savedRestore.current();
+        }
+
+        return;
+      }
+
+      var remote;
+
+      try {
+        remote = decode(item);
+      } catch (error) {
+        savedOnError.current(error);
+        return;
+      }
+
+      if (remote) {
+        lastItem.current = item;
+        savedAt.current = remote.savedAt;
+        dispatch({
+          type: REPLACE_STATE,
+          update: function update(local) {
+            return savedConflict.current(local, remote.state);
+          }
+        });
+      }
+    };
+
+    if (sync === 'broadcast' && typeof BroadcastChannel !== 'undefined') {
+      var broadcastChannel = new BroadcastChannel(storageKey);
+
+      broadcastChannel.onmessage = function (event) {
+        return receive(event.data);
+      };
+
+      channel.current = broadcastChannel;
+      return function () {
+        broadcastChannel.close();
+        channel.current = null;
+      };
+    } // Storage events are only fired in the other tabs, never in the one that
+    // wrote the value.
+
+
+    var listener = function listener(event) {
+      if (event.storageArea === storage && event.key === storageKey) {
+        receive(event.newValue);
+      }
+    };
+
+    window.addEventListener('storage', listener);
+    return function () {
+      window.removeEventListener('storage', listener);
+    };
+  }, [sync, storage, storageKey]); // Try to persist the state to storage, or the in-memory store if it has
+  // failed. Asynchronous storage adapters may also fail by rejecting.
+
+  var write = function write(state) {
+    var item;
+
+    try {
+      // The time written is left out of the comparison, as it differs on every
+      // write.
+      item = encode(state, savedAt.current);
+
+      if (item === lastItem.current) {
+        return;
+      }
+
+      if (ttl !== undefined) {
+        savedAt.current = Date.now();
+        item = encode(state, savedAt.current);
+      }
+    } catch (error) {
+      savedOnError.current(error);
+      updateStatus('error');
+      return;
+    }
+
+    var failed = function failed(error) {
+      fallBack(error);
+      fallback.current.setItem(storageKey, item);
+    };
+
+    try {
+      Promise.resolve((fallback.current || storage).setItem(storageKey, item))["catch"](failed);
+    } catch (error) {
+      failed(error);
+    }
+
+    lastItem.current = item;
+    updateStatus(fallback.current ? 'memoryOnly' : 'persisted');
+
+    if (channel.current) {
+      channel.current.postMessage(item);
+    }
+  }; // Replace the state with the initial state, without writing it to storage.
+
+
+  var restore = function restore() {
+    var state = init(initialState);
+    resetState.current = state;
+    dispatch({
+      type: REPLACE_STATE,
+      update: function update() {
+        return state;
+      }
+    });
+  }; // Store the latest versions of write and restore in refs, so deferred writes
+  // and updates from other tabs always use the current storage, key and init.
+
+
+  var savedWrite = react.useRef(write);
+  var savedRestore = react.useRef(restore);
+  react.useEffect(function () {
+    savedWrite.current = write;
+    savedRestore.current = restore;
+  }); // The state waiting to be written by a deferred write strategy, wrapped in
+  // an object so undefined can be told apart from nothing pending.
+
+  var pendingWrite = react.useRef(null);
+  var flush = react.useCallback(function () {
+    if (pendingWrite.current) {
+      var _state = pendingWrite.current.state;
+      pendingWrite.current = null;
+      savedWrite.current(_state);
+    }
+  }, []); // Whenever the state changes, persist it according to the write strategy.
+
+  react.useEffect(function () {
+    if (!hydrated) {
+      return;
+    }
+
+    if (state === resetState.current) {
+      pendingWrite.current = null;
+      return;
+    } // Only the state restored by reset is skipped. Once the state changes, a
+    // later state equal to it, e.g. the initial state again, is written.
+
+
+    resetState.current = undefined;
+
+    if (writeStrategy === 'immediate') {
+      write(state);
+      return;
+    }
+
+    pendingWrite.current = {
+      state: state
+    }; // Clearing the timeout whenever the state changes again debounces the write.
+
+    if (writeStrategy.debounce !== undefined) {
+      var timeout = setTimeout(flush, writeStrategy.debounce);
+      return function () {
+        clearTimeout(timeout);
+      };
+    }
+
+    if (writeStrategy === 'idle') {
+      if (typeof window.requestIdleCallback === 'function') {
+        var handle = window.requestIdleCallback(flush);
+        return function () {
+          window.cancelIdleCallback(handle);
+        };
+      }
+
+      var _timeout = setTimeout(flush, 0);
+
+      return function () {
+        clearTimeout(_timeout);
+      };
+    }
+  }, [state, hydrated]); // Pending writes are flushed when the page is hidden or unloaded, as it might
+  // not come back, and when the component unmounts.
+
+  react.useEffect(function () {
+    var visibilityListener = function visibilityListener() {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    };
+
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', visibilityListener);
+    return function () {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', visibilityListener);
+      flush();
+    };
+  }, []); // Remove the state from storage, and in other tabs, and restore the initial
+  // state.
+
+  var reset = react.useCallback(function () {
+    pendingWrite.current = null;
+    lastItem.current = null;
+    savedAt.current = undefined; // The state is removed from the storage even if it has failed, as it may
+    // still hold an earlier state.
+
+    if (fallback.current) {
+      fallback.current.removeItem(storageKey);
+    }
+
+    try {
+      Promise.resolve(storage.removeItem(storageKey))["catch"](fallBack);
+    } catch (error) {
+      fallBack(error);
+    }
+
+    if (channel.current) {
+      channel.current.postMessage(null);
+    }
+
+    savedRestore.current();
+  }, [storage, storageKey]); // When the key changes, e.g. to that of another user or document, we load
+  // the state stored under the new key before rendering, so the state of the
+  // previous key is never shown or written under the new one. Writes still
+  // pending belong to the previous key, and are flushed first.
+
+  if (loadedKey.current !== storageKey) {
+    flush();
+    loadedKey.current = storageKey;
+    lastItem.current = null;
+    savedAt.current = undefined;
+    resetState.current = undefined;
+    pendingRead.current = null;
+
+    var _state2 = read();
+
+    dispatch({
+      type: REPLACE_STATE,
+      update: function update() {
+        return _state2;
+      }
+    });
+    setHydrated(pendingRead.current === null);
+
+    if (fallback.current) {
+      setStatus('memoryOnly');
+    }
+  }
+
+  return [state, dispatch, {
+    hydrated: hydrated,
+    reset: reset,
+    status: status
+  }];
+};
+var useStoredState = function useStoredState(initialValue, storageKey) {
+  var storage = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : window.localStorage;
+  var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
+
+  /*
+  Equivalent to Reacts useState, but the state is stored either in the browsers
+  localStorage or sessionStorage so it is persisted through a page refresh. It
+  accepts an initial value, an identifying key, the storage engine to use,
+  which defaults to `window.localStorage`, and the same options as
+  useStoredReducer.
+  */
+  // useState is implemented internally in React from useReducer, so why not do
+  // the same? By building it from useStoredReducer rather then by wrapping
+  // useState we can reduce all the logic around storing and fetching from
+  // storage.
+  // useState is simply a useReducer with a reducer that simply replaces the
+  // last state, however the new state can be provided either as a value or
+  // as a function.
+  var reducer = function reducer(prevState, newState) {
+    return typeof newState === 'function' ? newState(prevState) : newState;
+  }; // Likewise can the initial value be provided either as a value or as a function.
+
+
+  var init = function init(initialValue) {
+    return typeof initialValue === 'function' ? initialValue() : initialValue;
+  };
+
+  return useStoredReducer(reducer, initialValue, storageKey, init, storage, options);
+};
+
+var retryDelay = function retryDelay(failureCount, baseDelay, maxDelay) {
+  /*
+  Returns the delay before retrying after the given number of failures. The
+  delay doubles with each failure up to the max delay, and is randomized by up
+  to half to keep many clients from retrying in lockstep.
+  */
+  var delay = Math.min(maxDelay, baseDelay * Math.pow(2, failureCount - 1));
+  return delay / 2 + Math.random() * delay / 2;
+};
+
+var shouldRetry = function shouldRetry(retry, failureCount, error) {
+  // Whether to retry after the given number of failures, given the `retry`
+  // option, either the number of times to retry or a predicate.
+  return typeof retry === 'function' ? retry(failureCount, error) : failureCount <= retry;
+};
+
+var sleep = function sleep(delay, signal) {
+  // Resolves after the delay, or rejects as soon as the signal is aborted.
+  return new Promise(function (resolve, reject) {
+    var abort = function abort() {
+      clearTimeout(timeout);
+      reject(new DOMException('The execution was aborted.', 'AbortError'));
+    };
+
+    var timeout = setTimeout(function () {
+      signal.removeEventListener('abort', abort);
+      resolve();
+    }, delay);
+    signal.addEventListener('abort', abort);
+  });
+};
+
+var useDelayedAsync = function useDelayedAsync(asyncFunction) {
+  var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+  /*
+  Wraps an async function, allowing it to be used directly in a React component.
+  It returns the same three values, `result`, `error`, `loading`, along with an
+  `execute` method allowing you to control when the function starts executing.
+   The arguments passed to `execute` are passed on to the async function, and the
+  promise it returns resolves with the result or rejects with the error. The
+  `status` is one of `'idle'`, `'pending'`, `'success'` and `'error'`.
+   Each execution is passed an AbortSignal, after the arguments. Starting a new
+  execution aborts the previous one, as does unmounting and calling the returned
+  `abort` method. The results of aborted executions are ignored, and their
+  promises resolve with undefined, so only real errors reject.
+   Failed executions are retried if the `retry` option is set, either to the
+  number of times to retry or a function `(failureCount, error) => boolean`.
+  The delay between retries grows exponentially from `retryDelay` to at most
+  `maxRetryDelay` milliseconds. The current `attempt` and, while waiting, the
+  time of the next one, `nextRetryAt`, are returned along with a `retry` method
+  executing the function again with the last arguments.
+   The result is cleared when an execution starts, unless the `keepPreviousResult`
+  option is set. For mutations, the `onMutate(args, result)` option returns an
+  optimistic result shown until the execution finishes, which is reverted if it
+  fails. The `onSuccess(result, args, context)` and `onError(error, args,
+  context)` options are called when an execution finishes, where the context
+  holds the `previousResult` and `optimisticResult`. If onMutate throws, the
+  execution fails with its error, without calling the function.
+   */
+  var _useState5 = react.useState(false),
+      _useState6 = _slicedToArray__default['default'](_useState5, 2),
+      loading = _useState6[0],
+      setLoading = _useState6[1];
+
+  var _useState7 = react.useState(null),
+      _useState8 = _slicedToArray__default['default'](_useState7, 2),
+      result = _useState8[0],
+      setStateResult = _useState8[1];
+
+  var _useState9 = react.useState(null),
+      _useState10 = _slicedToArray__default['default'](_useState9, 2),
+      error = _useState10[0],
+      setError = _useState10[1];
+
+  var _useState11 = react.useState('idle'),
+      _useState12 = _slicedToArray__default['default'](_useState11, 2),
+      status = _useState12[0],
+      setStatus = _useState12[1];
+
+  var _useState13 = react.useState(0),
+      _useState14 = _slicedToArray__default['default'](_useState13, 2),
+      attempt = _useState14[0],
+      setAttempt = _useState14[1];
+
+  var _useState15 = react.useState(null),
+      _useState16 = _slicedToArray__default['default'](_useState15, 2),
+      nextRetryAt = _useState16[0],
+      setNextRetryAt = _useState16[1]; // Store the options in a ref, so inline retry functions and callbacks do not
+  // change the execute function on every render.
+
+
+  var savedOptions = react.useRef(options);
+  react.useEffect(function () {
+    savedOptions.current = options;
+  }); // The result shown, which optimistic results are computed from, and the last
+  // result that was not optimistic, which they're reverted to.
+
+  var shownResult = react.useRef(null);
+  var settledResult = react.useRef(null);
+
+  var setResult = function setResult(result) {
+    shownResult.current = result;
+    setStateResult(result);
+  }; // The context of the current execution, if any, and whether its result is
+  // reverted when it fails or is aborted.
+
+
+  var context = react.useRef(null); // The arguments of the last execution, used when retrying manually.
+
+  var lastArgs = react.useRef([]); // The AbortController of the current execution, if any.
+
+  var controller = react.useRef(null); // Abort the current execution on unmount, so we don't set the state of an
+  // unmounted component.
+
+  react.useEffect(function () {
+    return function () {
+      if (controller.current) {
+        controller.current.abort();
+      }
+    };
+  }, []); // The execute function is wrapped in a useCallback to ensure that it can be
+  // used as a dependency to useEffect, without it being called on every re-render.
+
+  var executeWithOptions = react.useCallback(function (overrides) {
+    for (var _len = arguments.length, args = new Array(_len > 1 ? _len - 1 : 0), _key = 1; _key < _len; _key++) {
+      args[_key - 1] = arguments[_key];
+    }
+
+    if (controller.current) {
+      controller.current.abort();
+    }
+
+    var current = new AbortController();
+    controller.current = current;
+    lastArgs.current = args;
+
+    var _savedOptions$current = _objectSpread(_objectSpread({}, savedOptions.current), overrides),
+        onMutate = _savedOptions$current.onMutate,
+        _savedOptions$current2 = _savedOptions$current.keepPreviousResult,
+        keepPreviousResult = _savedOptions$current2 === void 0 ? false : _savedOptions$current2;
+
+    var reverts = Boolean(onMutate) || keepPreviousResult;
+    var mutation = {
+      previousResult: settledResult.current
+    };
+    context.current = {
+      mutation: mutation,
+      reverts: reverts
+    };
+    setLoading(true);
+    setError(null);
+    setStatus('pending'); // An error thrown by onMutate fails the execution like a rejected call,
+    // without calling the function.
+
+    var mutateError = null;
+
+    if (onMutate) {
+      try {
+        mutation.optimisticResult = onMutate(args, shownResult.current);
+        setResult(mutation.optimisticResult);
+      } catch (error) {
+        mutateError = error;
+      }
+    } else if (!keepPreviousResult) {
+      settledResult.current = null;
+      setResult(null);
+    } // Run the function, and keep retrying it after a delay for as long as it
+    // fails and should be retried.
+
+
+    var run = function run(attempt) {
+      setAttempt(attempt);
+      setNextRetryAt(null);
+      return asyncFunction.apply(void 0, args.concat([current.signal]))["catch"](function (error) {
+        var _savedOptions$current3 = savedOptions.current.retry,
+            retry = _savedOptions$current3 === void 0 ? 0 : _savedOptions$current3;
+
+        if (current.signal.aborted || !shouldRetry(retry, attempt, error)) {
+          throw error;
+        }
+
+        var _savedOptions$current4 = savedOptions.current,
+            _savedOptions$current5 = _savedOptions$current4.retryDelay,
+            baseDelay = _savedOptions$current5 === void 0 ? 1000 : _savedOptions$current5,
+            _savedOptions$current6 = _savedOptions$current4.maxRetryDelay,
+            maxRetryDelay = _savedOptions$current6 === void 0 ? 30000 : _savedOptions$current6;
+        var delay = retryDelay(attempt, baseDelay, maxRetryDelay);
+        setNextRetryAt(Date.now() + delay);
+        return sleep(delay, current.signal).then(function () {
+          return run(attempt + 1);
+        });
+      });
+    };
+
+    return (mutateError ? Promise.reject(mutateError) : run(1)).then(function (response) {
+      // The results of aborted executions are ignored.
+      if (current.signal.aborted) {
+        return undefined;
+      }
+
+      controller.current = null;
+      context.current = null;
+      settledResult.current = response;
+      setResult(response);
+      setLoading(false);
+      setStatus('success');
+      var onSuccess = savedOptions.current.onSuccess;
+
+      if (onSuccess) {
+        onSuccess(response, args, mutation);
+      }
+
+      return response;
+    }, function (error) {
+      if (current.signal.aborted) {
+        return undefined;
+      }
+
+      controller.current = null;
+      context.current = null;
+
+      if (reverts) {
+        setResult(mutation.previousResult);
+      }
+
+      setError(error);
+      setLoading(false);
+      setStatus('error');
+      var onError = savedOptions.current.onError;
+
+      if (onError) {
+        onError(error, args, mutation);
+      }
+
+      throw error;
+    });
+  }, [asyncFunction]);
+  var execute = react.useCallback(function () {
+    for (var _len2 = arguments.length, args = new Array(_len2), _key2 = 0; _key2 < _len2; _key2++) {
+      args[_key2] = arguments[_key2];
+    }
+
+    return executeWithOptions.apply(void 0, [{}].concat(args));
+  }, [executeWithOptions]);
+  var abort = react.useCallback(function () {
+    if (controller.current) {
+      if (context.current.reverts) {
+        setResult(context.current.mutation.previousResult);
+      }
+
+      context.current = null;
+      controller.current.abort();
+      controller.current = null;
+      setLoading(false);
+      setStatus('idle');
+      setNextRetryAt(null);
+    }
+  }, []);
+  var retry = react.useCallback(function () {
+    return execute.apply(void 0, _toConsumableArray__default['default'](lastArgs.current));
+  }, [execute]);
+  return _defineProperty__default['default']({
+    result: result,
+    error: error,
+    loading: loading,
+    status: status,
+    attempt: attempt,
+    nextRetryAt: nextRetryAt,
+    execute: execute,
+    abort: abort,
+    retry: retry
+  }, EXECUTE_WITH_OPTIONS, executeWithOptions);
+}; // How long the results of useAsync are cached after no component uses them.
+
+var DEFAULT_CACHE_TIME = 5 * 60 * 1000; // When the data of a key was filled by a fetch a component suspended on, by
+// cache. The suspended component is rendered from scratch once the fetch
+// settles, losing its refs, so the first component mounting with that data
+// looks it up here instead of refetching it.
+
+var suspendedUpdates = new WeakMap(); // Keys of the async cache may be strings or arrays of JSON values, which are
+// compared by their hash so that arrays recreated every render are equal.
+
+var hashKey = function hashKey(key) {
+  return JSON.stringify(key);
+};
+
+var createAsyncCache = function createAsyncCache() {
+  /*
+  Creates a cache for the results of useAsync, keyed by the keys passed to it.
+  Concurrent fetches of the same key are merged into one, and results no longer
+  used by any component are removed after their cache time.
+  */
+  var entries = new Map();
+
+  var getEntry = function getEntry(key) {
+    var hash = hashKey(key);
+
+    if (!entries.has(hash)) {
+      var entry = {
+        hash: hash,
+        data: undefined,
+        error: null,
+        updatedAt: 0,
+        invalidated: false,
+        promise: null,
+        attempt: 0,
+        nextRetryAt: null,
+        fetcher: null,
+        fetchOptions: {},
+        listeners: new Set(),
+        gcTimeout: null
+      };
+      entries.set(hash, entry);
+      scheduleRemoval(entry, DEFAULT_CACHE_TIME);
+    }
+
+    return entries.get(hash);
+  };
+
+  var scheduleRemoval = function scheduleRemoval(entry, cacheTime) {
+    clearTimeout(entry.gcTimeout);
+    entry.gcTimeout = setTimeout(function () {
+      if (entry.listeners.size === 0) {
+        entries["delete"](entry.hash);
+      }
+    }, cacheTime);
+  };
+
+  var notify = function notify(entry) {
+    entry.listeners.forEach(function (listener) {
+      return listener();
+    });
+  };
+
+  var get = function get(key) {
+    // Returns a snapshot of the cached state of the key, or undefined if it's
+    // not cached.
+    var entry = entries.get(hashKey(key));
+
+    if (!entry) {
+      return undefined;
+    }
+
+    var data = entry.data,
+        error = entry.error,
+        updatedAt = entry.updatedAt,
+        invalidated = entry.invalidated,
+        promise = entry.promise,
+        attempt = entry.attempt,
+        nextRetryAt = entry.nextRetryAt;
+    return {
+      data: data,
+      error: error,
+      updatedAt: updatedAt,
+      invalidated: invalidated,
+      attempt: attempt,
+      nextRetryAt: nextRetryAt,
+      fetching: promise !== null,
+      hasData: updatedAt > 0
+    };
+  };
+
+  var fetch = function fetch(key, asyncFunction) {
+    var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+    // Fetches the key with the async function, unless it is already being
+    // fetched, in which case the pending fetch is returned. Failed fetches are
+    // retried according to the `retry`, `retryDelay` and `maxRetryDelay`
+    // options, like in useDelayedAsync, until no component uses the key.
+    var entry = getEntry(key);
+    entry.fetcher = asyncFunction;
+    entry.fetchOptions = options;
+
+    if (entry.promise) {
+      return entry.promise;
+    }
+
+    var _options$retry = options.retry,
+        retry = _options$retry === void 0 ? 0 : _options$retry,
+        _options$retryDelay = options.retryDelay,
+        baseDelay = _options$retryDelay === void 0 ? 1000 : _options$retryDelay,
+        _options$maxRetryDela = options.maxRetryDelay,
+        maxRetryDelay = _options$maxRetryDela === void 0 ? 30000 : _options$maxRetryDela; // A fetch started by a suspended component, or outside of any, has no
+    // subscribers yet, so retrying only stops once it has had some.
+
+    var subscribed = entry.listeners.size > 0;
+
+    var run = function run(attempt) {
+      Object.assign(entry, {
+        attempt: attempt,
+        nextRetryAt: null
+      });
+      return asyncFunction()["catch"](function (error) {
+        if (!shouldRetry(retry, attempt, error)) {
+          throw error;
+        }
+
+        var delay = retryDelay(attempt, baseDelay, maxRetryDelay);
+        entry.nextRetryAt = Date.now() + delay;
+        notify(entry);
+        subscribed = subscribed || entry.listeners.size > 0;
+        return new Promise(function (resolve) {
+          return setTimeout(resolve, delay);
+        }).then(function () {
+          if (subscribed && entry.listeners.size === 0) {
+            throw error;
+          }
+
+          var retried = run(attempt + 1);
+          notify(entry);
+          return retried;
+        });
+      });
+    };
+
+    entry.promise = run(1).then(function (data) {
+      Object.assign(entry, {
+        data: data,
+        error: null,
+        updatedAt: Date.now(),
+        invalidated: false,
+        promise: null
+      });
+      notify(entry);
+      return data;
+    }, function (error) {
+      Object.assign(entry, {
+        error: error,
+        promise: null
+      });
+      notify(entry);
+      throw error;
+    });
+    notify(entry);
+    return entry.promise;
+  };
+
+  var setData = function setData(key, data) {
+    // Sets the cached data of the key. Like the setter returned by useState,
+    // it accepts either the new data, or a function of the previous data.
+    var entry = getEntry(key);
+    var value = typeof data === 'function' ? data(entry.data) : data;
+    Object.assign(entry, {
+      data: value,
+      error: null,
+      updatedAt: Date.now(),
+      invalidated: false
+    });
+    notify(entry);
+  };
+
+  var invalidate = function invalidate(key) {
+    // Marks the cached data of the key as stale, refetching it if it's used
+    // by any component.
+    var entry = entries.get(hashKey(key));
+
+    if (!entry) {
+      return;
+    }
+
+    entry.invalidated = true;
+
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      fetch(key, entry.fetcher, entry.fetchOptions)["catch"](function () {});
+    } else {
+      notify(entry);
+    }
+  };
+
+  var reset = function reset(key) {
+    // Resets the key to its initial state, refetching it if it's used by any
+    // component, e.g. to retry a failed fetch from an error boundary.
+    var entry = entries.get(hashKey(key));
+
+    if (!entry) {
+      return;
+    }
+
+    Object.assign(entry, {
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      invalidated: false
+    });
+
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      fetch(key, entry.fetcher, entry.fetchOptions)["catch"](function () {});
+    } else {
+      notify(entry);
+    }
+  };
+
+  var subscribe = function subscribe(key, listener) {
+    var cacheTime = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : DEFAULT_CACHE_TIME;
+    // Calls the listener whenever the cached state of the key changes. Returns
+    // a function unsubscribing it.
+    var entry = getEntry(key);
+    clearTimeout(entry.gcTimeout);
+    entry.listeners.add(listener);
+    return function () {
+      entry.listeners["delete"](listener);
+
+      if (entry.listeners.size === 0) {
+        scheduleRemoval(entry, cacheTime);
+      }
+    };
+  };
+
+  var clear = function clear() {
+    entries.forEach(function (entry) {
+      return clearTimeout(entry.gcTimeout);
+    });
+    entries.clear();
+  };
+
+  return {
+    get: get,
+    fetch: fetch,
+    setData: setData,
+    invalidate: invalidate,
+    reset: reset,
+    subscribe: subscribe,
+    clear: clear
+  };
+}; // The cache used by useAsync, unless another one is provided by an
+// AsyncCacheProvider.
+
+var asyncCache = createAsyncCache();
+var AsyncCacheContext = /*#__PURE__*/react.createContext(asyncCache);
+var AsyncCacheProvider = function AsyncCacheProvider(_ref14) {
+  var cache = _ref14.cache,
+      children = _ref14.children;
+
+  /*
+  Provides the cache used by the useAsync hooks of its descendants, e.g. to give
+  each test, or each server rendered request, a cache of its own.
+  */
+  return /*#__PURE__*/react.createElement(AsyncCacheContext.Provider, {
+    value: cache
+  }, children);
+};
+var useAsyncCache = function useAsyncCache() {
+  /*
+  Returns the cache used by useAsync in this component, to invalidate or set
+  the cached data of a key.
+  */
+  return react.useContext(AsyncCacheContext);
+};
+
+var useRefetch = function useRefetch(refetch, fetching, options) {
+  /*
+  Calls refetch every `refetchInterval` milliseconds, and optionally when the
+  window regains focus or the browser comes back online. Shared by both forms
+  of useAsync.
+  */
+  var _options$enabled = options.enabled,
+      enabled = _options$enabled === void 0 ? true : _options$enabled,
+      refetchInterval = options.refetchInterval,
+      _options$refetchOnWin = options.refetchOnWindowFocus,
+      refetchOnWindowFocus = _options$refetchOnWin === void 0 ? false : _options$refetchOnWin,
+      _options$refetchOnRec = options.refetchOnReconnect,
+      refetchOnReconnect = _options$refetchOnRec === void 0 ? false : _options$refetchOnRec; // Store refetch and whether we're fetching in refs, so the event listeners
+  // below always see the latest versions of them.
+
+  var savedRefetch = react.useRef(refetch);
+  var savedFetching = react.useRef(fetching);
+  react.useEffect(function () {
+    savedRefetch.current = refetch;
+    savedFetching.current = fetching;
+  }); // Polling is paused while the document is hidden.
+
+  var _useState17 = react.useState(function () {
+    return document.visibilityState !== 'hidden';
+  }),
+      _useState18 = _slicedToArray__default['default'](_useState17, 2),
+      visible = _useState18[0],
+      setVisible = _useState18[1];
+
+  react.useEffect(function () {
+    if (!refetchInterval) {
+      return;
+    }
+
+    var listener = function listener() {
+      return setVisible(document.visibilityState !== 'hidden');
+    };
+
+    document.addEventListener('visibilitychange', listener);
+    return function () {
+      document.removeEventListener('visibilitychange', listener);
+    };
+  }, [refetchInterval]); // The next refetch is only scheduled once the previous one has finished, so
+  // they never overlap.
+
+  react.useEffect(function () {
+    if (!enabled || !refetchInterval || !visible || fetching) {
+      return;
+    }
+
+    var timeout = setTimeout(function () {
+      return savedRefetch.current();
+    }, refetchInterval);
+    return function () {
+      clearTimeout(timeout);
+    };
+  }, [enabled, refetchInterval, visible, fetching]);
+  react.useEffect(function () {
+    if (!enabled) {
+      return;
+    }
+
+    var listener = function listener() {
+      if (!savedFetching.current) {
+        savedRefetch.current();
+      }
+    };
+
+    if (refetchOnWindowFocus) {
+      window.addEventListener('focus', listener);
+    }
+
+    if (refetchOnReconnect) {
+      window.addEventListener('online', listener);
+    }
+
+    return function () {
+      window.removeEventListener('focus', listener);
+      window.removeEventListener('online', listener);
+    };
+  }, [enabled, refetchOnWindowFocus, refetchOnReconnect]);
+};
+
+var useCachedAsync = function useCachedAsync(key, asyncFunction) {
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+  /*
+  The keyed form of useAsync, sharing the results of the async function with
+  every other component using the same key.
+  */
+  var _options$enabled2 = options.enabled,
+      enabled = _options$enabled2 === void 0 ? true : _options$enabled2,
+      _options$suspense = options.suspense,
+      suspense = _options$suspense === void 0 ? false : _options$suspense,
+      _options$cacheTime = options.cacheTime,
+      cacheTime = _options$cacheTime === void 0 ? DEFAULT_CACHE_TIME : _options$cacheTime,
+      _options$staleTime = options.staleTime,
+      staleTime = _options$staleTime === void 0 ? 0 : _options$staleTime;
+  var cache = useAsyncCache();
+  var hash = hashKey(key); // Re-render whenever the cached state of the key changes.
+
+  var _useReducer3 = react.useReducer(function (count) {
+    return count + 1;
+  }, 0),
+      _useReducer4 = _slicedToArray__default['default'](_useReducer3, 2),
+      rerender = _useReducer4[1];
+
+  react.useEffect(function () {
+    return cache.subscribe(key, rerender, cacheTime);
+  }, [cache, hash]); // Store the async function in a ref, so an inline function does not cause
+  // a refetch on every render.
+
+  var savedFunction = react.useRef(asyncFunction);
+  react.useEffect(function () {
+    savedFunction.current = asyncFunction;
+  }, [asyncFunction]); // The retry options are stored the same way, as they're passed to the cache.
+
+  var savedOptions = react.useRef(options);
+  react.useEffect(function () {
+    savedOptions.current = options;
+  });
+
+  var fetchKey = function fetchKey() {
+    return cache.fetch(key, function () {
+      return savedFunction.current();
+    }, savedOptions.current);
+  }; // Fetch the key unless the cached data is still fresh, or was just fetched
+  // while suspended. Stale data is served while it's being revalidated.
+
+
+  react.useEffect(function () {
+    if (!enabled) {
+      return;
+    }
+
+    var entry = cache.get(key);
+    var suspended = suspendedUpdates.get(cache);
+
+    if (suspended && suspended.has(hash)) {
+      var filledWhileSuspended = entry && suspended.get(hash) === entry.updatedAt;
+      suspended["delete"](hash);
+
+      if (filledWhileSuspended) {
+        return;
+      }
+    }
+
+    if (!entry || !entry.hasData || entry.invalidated || Date.now() - entry.updatedAt >= staleTime) {
+      fetchKey()["catch"](function () {});
+    }
+  }, [cache, hash, enabled]);
+  var entry = cache.get(key) || {
+    data: undefined,
+    error: null,
+    fetching: false,
+    hasData: false,
+    attempt: 0,
+    nextRetryAt: null
+  };
+  useRefetch(function () {
+    fetchKey()["catch"](function () {});
+  }, entry.fetching, options); // Retrying fetches the key again, or returns the fetch in flight.
+
+  var retry = react.useCallback(function () {
+    return fetchKey();
+  }, [cache, hash]);
+  var status = 'idle';
+
+  if (entry.error) {
+    status = 'error';
+  } else if (entry.hasData) {
+    status = 'success';
+  } else if (entry.fetching) {
+    status = 'pending';
+  } // In suspense mode, suspend until the key has data, and throw the error to
+  // the nearest error boundary if it could not be fetched.
+
+
+  if (suspense && enabled && !entry.hasData) {
+    if (entry.error && !entry.fetching) {
+      throw entry.error;
+    }
+
+    var promise = fetchKey();
+    promise.then(function () {
+      if (!suspendedUpdates.has(cache)) {
+        suspendedUpdates.set(cache, new Map());
+      }
+
+      suspendedUpdates.get(cache).set(hash, cache.get(key).updatedAt);
+    }, function () {});
+    throw promise;
+  }
+
+  return {
+    result: entry.hasData ? entry.data : null,
+    error: entry.error,
+    loading: entry.fetching && !entry.hasData,
+    validating: entry.fetching,
+    status: status,
+    attempt: entry.attempt,
+    nextRetryAt: entry.nextRetryAt,
+    retry: retry
+  };
+};
+
+var useUncachedAsync = function useUncachedAsync(asyncFunction) {
+  var dependencies = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : [];
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+  /*
+  The unkeyed form of useAsync. The function is executed again whenever the
+  dependencies change, compared by deep equality. Results of executions for
+  earlier dependencies are discarded. Set the `enabled` option to false to hold
+  off executing, e.g. until the arguments are available. The retry options of
+  useDelayedAsync are accepted as well.
+   */
+  var _options$enabled3 = options.enabled,
+      enabled = _options$enabled3 === void 0 ? true : _options$enabled3,
+      _options$suspense2 = options.suspense,
+      suspense = _options$suspense2 === void 0 ? false : _options$suspense2; // Suspending requires the results to be cached, so it's only supported with
+  // a key.
+
+  react.useEffect(function () {
+    if (process.env.NODE_ENV !== 'production' && suspense) {
+      console.warn('useAsync ignores the suspense option unless it is called with a key. ' + 'Use useAsync(key, asyncFunction, options) or useAsyncResource instead.');
+    }
+  }, [suspense]);
+
+  var _useDelayedAsync = useDelayedAsync(asyncFunction, options),
+      result = _useDelayedAsync.result,
+      error = _useDelayedAsync.error,
+      loading = _useDelayedAsync.loading,
+      status = _useDelayedAsync.status,
+      attempt = _useDelayedAsync.attempt,
+      nextRetryAt = _useDelayedAsync.nextRetryAt,
+      execute = _useDelayedAsync.execute,
+      abort = _useDelayedAsync.abort,
+      retry = _useDelayedAsync.retry,
+      executeWithOptions = _useDelayedAsync[EXECUTE_WITH_OPTIONS]; // Like useDeepCompareEffect, but without warning about primitive dependencies.
+
+
+  var allDependencies = [enabled].concat(_toConsumableArray__default['default'](dependencies));
+  var comparedDependencies = useDeepCompareCache(function () {
+    return allDependencies;
+  }, allDependencies, dequal.dequal, 1);
+  react.useEffect(function () {
+    if (enabled) {
+      // The error is available from the state, so the rejection is handled here.
+      // Starting a new execution aborts the previous one, so its result is discarded.
+      execute()["catch"](function () {});
+    } else {
+      abort();
+    }
+  }, comparedDependencies); // Refetches happen in the background, so the previous result is shown until
+  // they finish, like in the keyed form.
+
+  useRefetch(function () {
+    executeWithOptions({
+      keepPreviousResult: true
+    })["catch"](function () {});
+  }, loading, options);
+  return {
+    result: result,
+    error: error,
+    loading: loading,
+    status: status,
+    attempt: attempt,
+    nextRetryAt: nextRetryAt,
+    retry: retry
+  };
+};
+
+var useAsync = function useAsync() {
+  /*
+  Wraps an async function, allowing it to be used directly in a React component.
+  It returns three values, `result`, `error` and `loading`, allowing you to track
+  the state of the async call and change your component accordingly, along with
+  the same `status` as useDelayedAsync.
+   It's called either as `useAsync(asyncFunction, dependencies, options)`, or with
+  a key as `useAsync(key, asyncFunction, options)`, in which case the results are
+  cached and shared with every component using the same key. Which form is used
+  must not change between renders.
+   In the keyed form, cached data is served while it's revalidated, unless it's
+  younger than the `staleTime` option, and kept for `cacheTime` milliseconds
+  after no component uses it. The `validating` flag tells whether a fetch is in
+  flight. Use `useAsyncCache` to invalidate or set the cached data of a key.
+   Both forms accept the retry options of useDelayedAsync, and return the
+  `attempt`, `nextRetryAt` and `retry` method. In the keyed form, the options
+  of the component starting a fetch are used, and retrying fetches the key.
+   Either form refetches every `refetchInterval` milliseconds, if set, without
+  overlapping calls and pausing while the document is hidden. Set the options
+  `refetchOnWindowFocus` and `refetchOnReconnect` to also refetch when the
+  window regains focus or the browser comes back online. The previous result is
+  kept while refetching.
+   Set the `suspense` option in the keyed form to suspend the component until
+  the result is available, and throw errors to the nearest error boundary.
+  Data fetched while suspended isn't refetched on mount. Use `reset` of the
+  cache to retry a key that failed.
+  Without a key the option is ignored, with a warning in development.
+   */
+  return typeof (arguments.length <= 0 ? undefined : arguments[0]) === 'function' ? useUncachedAsync.apply(void 0, arguments) : useCachedAsync.apply(void 0, arguments);
+};
+var useAsyncResource = function useAsyncResource(key, asyncFunction) {
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+  /*
+  Returns the result of the async function, cached by key, suspending the
+  component until it's available. Errors are thrown to the nearest error
+  boundary. A shorthand for `useAsync(key, asyncFunction, {suspense: true})`.
+   */
+  return useCachedAsync(key, asyncFunction, _objectSpread(_objectSpread({}, options), {}, {
+    suspense: true
+  })).result;
+};
+var useInfiniteAsync = function useInfiniteAsync(fetchPage, getNextPageParam) {
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+  /*
+  Loads a list page by page, e.g. for infinite scrolling. The first page is
+  fetched on mount by calling `fetchPage(pageParam, signal)` with the
+  `initialPageParam` option, which defaults to 0. The param of each following
+  page is returned by `getNextPageParam(lastPage, pages)`, or undefined or null
+  when there are no more pages. Set the `enabled` option to false to hold off
+  fetching the first page.
+   The loaded `pages` are returned along with `fetchNextPage`, `hasNextPage` and
+  `isFetchingNextPage`. Calling `fetchNextPage` while a page is being fetched
+  returns the pending promise rather than fetching the page twice. The returned
+  `refetch` method clears the pages and fetches the first page again, aborting
+  any page being fetched.
+   It's built on useDelayedAsync, so the `error`, `loading` and `status` it
+  returns, the `abort` method, cancellation and retry options work the same.
+   */
+  var _options$initialPageP = options.initialPageParam,
+      initialPageParam = _options$initialPageP === void 0 ? 0 : _options$initialPageP,
+      _options$enabled4 = options.enabled,
+      enabled = _options$enabled4 === void 0 ? true : _options$enabled4;
+
+  var _useState19 = react.useState([]),
+      _useState20 = _slicedToArray__default['default'](_useState19, 2),
+      pages = _useState20[0],
+      setPages = _useState20[1];
+
+  var _useState21 = react.useState(false),
+      _useState22 = _slicedToArray__default['default'](_useState21, 2),
+      fetchingNextPage = _useState22[0],
+      setFetchingNextPage = _useState22[1]; // The pages are also kept in a ref, so pages fetched right after each other
+  // are appended to the latest list.
+
+
+  var savedPages = react.useRef(pages);
+  var savedGetNextPageParam = react.useRef(getNextPageParam);
+  react.useEffect(function () {
+    savedGetNextPageParam.current = getNextPageParam;
+  }); // The promise of the page being fetched, if any.
+
+  var pending = react.useRef(null);
+
+  var _useDelayedAsync2 = useDelayedAsync(fetchPage, _objectSpread(_objectSpread({}, options), {}, {
+    onSuccess: function onSuccess(page, args, context) {
+      savedPages.current = [].concat(_toConsumableArray__default['default'](savedPages.current), [page]);
+      setPages(savedPages.current);
+
+      if (options.onSuccess) {
+        options.onSuccess(page, args, context);
+      }
+    }
+  })),
+      error = _useDelayedAsync2.error,
+      loading = _useDelayedAsync2.loading,
+      status = _useDelayedAsync2.status,
+      execute = _useDelayedAsync2.execute,
+      abort = _useDelayedAsync2.abort;
+
+  var fetch = react.useCallback(function (pageParam) {
+    var promise = execute(pageParam);
+    pending.current = promise;
+
+    var clear = function clear() {
+      if (pending.current === promise) {
+        pending.current = null;
+      }
+    };
+
+    promise.then(clear, clear);
+    return promise;
+  }, [execute]);
+
+  var nextPageParam = function nextPageParam(pages) {
+    return pages.length ? savedGetNextPageParam.current(pages[pages.length - 1], pages) : null;
+  };
+
+  var fetchNextPage = react.useCallback(function () {
+    if (pending.current) {
+      return pending.current;
+    }
+
+    var pageParam = nextPageParam(savedPages.current);
+
+    if (pageParam === undefined || pageParam === null) {
+      return Promise.resolve();
+    }
 
+    setFetchingNextPage(true);
+    return fetch(pageParam);
+  }, [fetch]);
+  var refetch = react.useCallback(function () {
+    savedPages.current = [];
+    setPages([]);
+    setFetchingNextPage(false);
+    return fetch(initialPageParam);
+  }, [fetch, initialPageParam]);
+  var abortFetch = react.useCallback(function () {
+    pending.current = null;
+    abort();
+  }, [abort]); // The error is available from the state, so the rejection is handled here.
 
   react.useEffect(function () {
-    try {
-      storage.setItem(storageKey, JSON.stringify(state));
-    } catch (error) {
-      console.error(error);
+    if (enabled) {
+      refetch()["catch"](function () {});
+    } else {
+      abortFetch();
     }
-  }, [state]);
-  return [state, dispatch];
+  }, [enabled]);
+  var next = nextPageParam(pages);
+  return {
+    pages: pages,
+    error: error,
+    loading: loading,
+    status: status,
+    hasNextPage: next !== undefined && next !== null,
+    isFetchingNextPage: loading && fetchingNextPage,
+    fetchNextPage: fetchNextPage,
+    refetch: refetch,
+    abort: abortFetch
+  };
 };
-var useStoredState = function useStoredState(initialValue, storageKey) {
-  var storage = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : window.localStorage;
-
+var shallowEqual = function shallowEqual(a, b) {
   /*
-  Equivalent to Reacts useState, but the state is stored either in the browsers
-  localStorage or sessionStorage so it is persisted through a page refresh. It
-  accepts an initial value, an identifying key, and the storage engine to use,
-  which defaults to `window.localStorage`.
-  */
-  // useState is implemented internally in React from useReducer, so why not do
-  // the same? By building it from useStoredReducer rather then by wrapping
-  // useState we can reduce all the logic around storing and fetching from
-  // storage.
-  // useState is simply a useReducer with a reducer that simply replaces the
-  // last state, however the new state can be provided either as a value or
-  // as a function.
-  var reducer = function reducer(prevState, newState) {
-    return typeof newState === 'function' ? newState(prevState) : newState;
-  }; // Likewise can the initial value be provided either as a value or as a function.
+  Compares two values one level deep: arrays by their items and objects by their
+  own properties, which are compared by identity. Useful as the comparator of
+  the deep compare hooks, for large dependencies that are replaced rather than
+  mutated.
+   */
+  if (Object.is(a, b)) {
+    return true;
+  }
 
+  if (_typeof__default['default'](a) !== 'object' || _typeof__default['default'](b) !== 'object' || a === null || b === null) {
+    return false;
+  }
 
-  var init = function init(initialValue) {
-    return typeof initialValue === 'function' ? initialValue() : initialValue;
-  };
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
 
-  return useStoredReducer(reducer, initialValue, storageKey, init, storage);
+  var keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(function (key) {
+    return Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]);
+  });
 };
-var useDelayedAsync = function useDelayedAsync(asyncFunction) {
+
+var dependenciesEqual = function dependenciesEqual(a, b, isEqual) {
+  // Dependencies are compared item by item, like React does, but with the given
+  // comparator. Missing dependencies never equal, so they change every render.
+  return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every(function (dependency, i) {
+    return isEqual(dependency, b[i]);
+  });
+}; // Whether the deep compare hooks log which of their dependencies changed. Only
+// used in development.
+
+
+var logDependencyChanges = false;
+var setDeepCompareDiagnostics = function setDeepCompareDiagnostics(enabled) {
   /*
-  Wraps an async function, allowing it to be used directly in a React component.
-  It returns the same three values, `result`, `error`, `loading`, along with an
-  `execute` method allowing you to control when the function starts executing.
+  Enables logging the paths and values of the dependencies that changed, each
+  time a deep compare hook recomputes or re-runs. Only has an effect in
+  development, where the hooks also warn about dependencies better handled by
+  the plain React hooks.
    */
-  var _useState = react.useState(false),
-      _useState2 = _slicedToArray__default['default'](_useState, 2),
-      loading = _useState2[0],
-      setLoading = _useState2[1];
+  if (process.env.NODE_ENV !== 'production') {
+    logDependencyChanges = enabled;
+  }
+};
 
-  var _useState3 = react.useState(null),
-      _useState4 = _slicedToArray__default['default'](_useState3, 2),
-      result = _useState4[0],
-      setResult = _useState4[1];
+var diffDependencies = function diffDependencies(previous, next) {
+  var path = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '';
+  var changes = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : [];
 
-  var _useState5 = react.useState(null),
-      _useState6 = _slicedToArray__default['default'](_useState5, 2),
-      error = _useState6[0],
-      setError = _useState6[1]; // The execute function is wrapped in a useCallback to ensure that it can be
-  // used as a dependency to useEffect, without it being called on every re-render.
+  // Collects the paths at which two values differ, descending into objects and
+  // arrays.
+  if (Object.is(previous, next)) {
+    return changes;
+  }
 
+  var isObject = function isObject(value) {
+    return _typeof__default['default'](value) === 'object' && value !== null;
+  };
 
-  var execute = react.useCallback(function () {
-    setLoading(true);
-    setResult(null);
-    setError(null);
-    return asyncFunction().then(function (response) {
-      setResult(response);
-      setLoading(false);
-    })["catch"](function (error) {
-      setError(error);
-      setLoading(false);
+  if (!isObject(previous) || !isObject(next) || Array.isArray(previous) !== Array.isArray(next)) {
+    changes.push({
+      path: path,
+      previous: previous,
+      next: next
     });
-  }, [asyncFunction]);
-  return {
-    result: result,
-    error: error,
-    loading: loading,
-    execute: execute
-  };
+    return changes;
+  }
+
+  var keys = new Set([].concat(_toConsumableArray__default['default'](Object.keys(previous)), _toConsumableArray__default['default'](Object.keys(next))));
+  keys.forEach(function (key) {
+    var keyPath = Array.isArray(next) ? "".concat(path, "[").concat(key, "]") : "".concat(path, ".").concat(key);
+    diffDependencies(previous[key], next[key], keyPath, changes);
+  });
+  return changes;
 };
-var useAsync = function useAsync(asyncFunction) {
+
+var checkDependencies = function checkDependencies(dependencies, hook) {
+  // Warns about dependencies which make the deep compare hook pointless.
+  var plainHook = hook.replace('DeepCompare', '');
+
+  if (!Array.isArray(dependencies)) {
+    console.warn("".concat(hook, " was called without an array of dependencies, so they change on every render."));
+  } else if (dependencies.length === 0) {
+    console.warn("".concat(hook, " was called with no dependencies. Use ").concat(plainHook, " instead."));
+  } else if (dependencies.every(function (dependency) {
+    return _typeof__default['default'](dependency) !== 'object' || dependency === null;
+  })) {
+    console.warn("".concat(hook, " was called with only primitive dependencies, which are compared the same by ") + "".concat(plainHook, ". Use ").concat(plainHook, " instead."));
+  }
+};
+
+var useDeepCompareCache = function useDeepCompareCache(func, dependencies, isEqual, maxSize, hook) {
   /*
-  Wraps an async function, allowing it to be used directly in a React component.
-  It returns three values, `result`, `error` and `loading`, allowing you to track
-  the state of the async call and change your component accordingly.
+  Returns the value of func cached for the dependencies, shared by the deep
+  compare hooks. The development diagnostics are only run if the name of the
+  calling hook is given, so hooks using it internally don't warn.
    */
-  var _useDelayedAsync = useDelayedAsync(asyncFunction),
-      result = _useDelayedAsync.result,
-      error = _useDelayedAsync.error,
-      loading = _useDelayedAsync.loading,
-      execute = _useDelayedAsync.execute;
+  // The cached entries, with the most recently used last.
+  var ref = react.useRef([]);
+  var entries = ref.current;
 
-  react.useEffect(function () {
-    execute();
-  }, []);
-  return {
-    result: result,
-    error: error,
-    loading: loading
+  if (process.env.NODE_ENV !== 'production' && hook && entries.length === 0) {
+    checkDependencies(dependencies, hook);
+  }
+
+  var index = entries.findIndex(function (entry) {
+    return dependenciesEqual(dependencies, entry.key, isEqual);
+  });
+
+  if (index !== -1) {
+    var _entry = entries[index];
+
+    if (index !== entries.length - 1) {
+      entries.splice(index, 1);
+      entries.push(_entry);
+    }
+
+    return _entry.value;
+  }
+
+  if (process.env.NODE_ENV !== 'production' && hook && logDependencyChanges && entries.length > 0) {
+    var previous = entries[entries.length - 1].key;
+
+    if (Array.isArray(previous) && Array.isArray(dependencies)) {
+      var changes = diffDependencies(previous, dependencies);
+      var paths = changes.length ? changes.map(function (change) {
+        return change.path;
+      }).join(', ') : 'none, changed by the comparator';
+      console.log("".concat(hook, " dependencies changed at ").concat(paths), changes);
+    }
+  }
+
+  var entry = {
+    key: dependencies,
+    value: func()
   };
+  entries.push(entry);
+
+  if (entries.length > Math.max(1, maxSize)) {
+    entries.shift();
+  }
+
+  return entry.value;
 };
+
 var useDeepCompareMemo = function useDeepCompareMemo(func, dependencies) {
+  var isEqual = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : dequal.dequal;
+  var maxSize = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : 1;
+
   /*
   Equivalent to Reacts useMemo, but relies on deep equality, rather than
   referential equality. This allows you to pass object and arrays, including values that
   are recreated each re-render, as dependencies.
+   Each dependency is compared with `isEqual`, which defaults to deep equality,
+  e.g. pass `shallowEqual` for large dependencies.
    Like useMemo useDeepCompareMemo caches only the most recent value, not all
-  observed values.
+  observed values, unless `maxSize` is set. It then caches the values of that
+  many dependencies, evicting the least recently used one, so dependencies
+  switching between a few values are computed once each.
+   In development it warns when the dependencies are missing, empty or all
+  primitives, and logs which of them changed if enabled with
+  `setDeepCompareDiagnostics`. The same goes for the other deep compare hooks.
    */
-  var ref = react.useRef({});
-
-  if (!ref.current || !dequal.dequal(dependencies, ref.current.key)) {
-    ref.current = {
-      key: dependencies,
-      value: func()
-    };
-  }
-
-  return ref.current.value;
+  return useDeepCompareCache(func, dependencies, isEqual, maxSize, 'useDeepCompareMemo');
 };
 var useDeepCompareEffect = function useDeepCompareEffect(callBack, dependencies) {
+  var isEqual = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : dequal.dequal;
+
   /*
   Equivalent to Reacts useEffect, but relies on deep equality, rather than
   referential equality. This allows you to pass object and arrays, including values that
-  are recreated each re-render, as dependencies.
+  are recreated each re-render, as dependencies. The dependencies are compared
+  with `isEqual`, like in useDeepCompareMemo.
+   */
+  react.useEffect(callBack, useDeepCompareCache(function () {
+    return dependencies;
+  }, dependencies, isEqual, 1, 'useDeepCompareEffect'));
+}; // useLayoutEffect warns when rendered on the server, where neither kind of
+// effect runs, so useEffect is used there instead.
+
+var useIsomorphicLayoutEffect = typeof window !== 'undefined' ? react.useLayoutEffect : react.useEffect;
+var useDeepCompareLayoutEffect = function useDeepCompareLayoutEffect(callBack, dependencies) {
+  var isEqual = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : dequal.dequal;
+
+  /*
+  Equivalent to Reacts useLayoutEffect, but relies on deep equality, rather than
+  referential equality, like useDeepCompareEffect. Falls back to useEffect when
+  rendered on the server.
+   */
+  useIsomorphicLayoutEffect(callBack, useDeepCompareCache(function () {
+    return dependencies;
+  }, dependencies, isEqual, 1, 'useDeepCompareLayoutEffect'));
+};
+var useDeepCompareImperativeHandle = function useDeepCompareImperativeHandle(ref, create, dependencies) {
+  var isEqual = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : dequal.dequal;
+
+  /*
+  Equivalent to Reacts useImperativeHandle, but relies on deep equality, rather
+  than referential equality, like useDeepCompareEffect.
    */
-  react.useEffect(callBack, useDeepCompareMemo(function () {
+  react.useImperativeHandle(ref, create, useDeepCompareCache(function () {
     return dependencies;
-  }, dependencies));
+  }, dependencies, isEqual, 1, 'useDeepCompareImperativeHandle'));
 };
 var useDeepCompareCallback = function useDeepCompareCallback(callBack, dependencies) {
+  var isEqual = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : dequal.dequal;
+
   /*
   Equivalent to Reacts useCallback, but relies on deep equality, rather than
   referential equality. This allows you to pass object and arrays, including values that
-  are recreated each re-render, as dependencies.
+  are recreated each re-render, as dependencies. The dependencies are compared
+  with `isEqual`, like in useDeepCompareMemo.
    */
-  return react.useCallback(callBack, useDeepCompareMemo(function () {
+  return react.useCallback(callBack, useDeepCompareCache(function () {
     return dependencies;
-  }, dependencies));
+  }, dependencies, isEqual, 1, 'useDeepCompareCallback'));
+};
+
+var refElements = function refElements(refs) {
+  // Returns the rendered elements of a ref or an array of refs.
+  return [].concat(refs).map(function (ref) {
+    return ref && ref.current;
+  }).filter(Boolean);
 };
-var useOnClickOutSide = function useOnClickOutSide(ref, handler) {
+
+var containsEvent = function containsEvent(elements, event) {
+  // Whether the event happened within any of the elements or their children,
+  // including children within shadow roots, which the target is retargeted from.
+  var path = event.composedPath ? event.composedPath() : [];
+  return elements.some(function (element) {
+    return path.includes(element) || element.contains(event.target);
+  });
+};
+
+var useOnClickOutside = function useOnClickOutside(refs, handler) {
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
   /*
   Allows you to detect and act in response to clicks outside a specified element.
+   Pass an array of refs to treat several elements as inside, e.g. a button and
+  the popover it opens. By default it listens for `pointerdown`, covering mouse,
+  touch and pen, but other events may be passed as the `events` option. Set the
+  `enabled` option to false to stop listening, e.g. while the popover is closed.
+  Events from within shadow DOM are attributed to the right element using
+  `event.composedPath()`.
   */
-  // Create a ref that stores handler. That way if the handler changes, (e.g.
+  var _options$events = options.events,
+      events = _options$events === void 0 ? ['pointerdown'] : _options$events,
+      _options$enabled5 = options.enabled,
+      enabled = _options$enabled5 === void 0 ? true : _options$enabled5; // Create a ref that stores handler. That way if the handler changes, (e.g.
   // because it was defined inline in a functional component that re-rendered)
   // only this useEffect hook runs, instead of the one manages the
   // eventListeners and has some overhead. The correct way is to wrap handler
   // in useCallback before passing it to useOnClickOutside, but that requires
   // the user to have insight into the implementation of this hook.
+
   var savedHandler = react.useRef();
   react.useEffect(function () {
     savedHandler.current = handler;
-  }, [handler]);
+  }, [handler]); // The refs are stored the same way, so an inline array of them does not
+  // re-add the event listeners on every render.
+
+  var savedRefs = react.useRef(refs);
   react.useEffect(function () {
+    savedRefs.current = refs;
+  });
+  var eventTypes = events.join(' ');
+  react.useEffect(function () {
+    if (!enabled) {
+      return;
+    }
+
     var listener = function listener(event) {
-      // Do nothing if clicking the ref's or it's children elements
-      if (!ref.current || ref.current.contains(event.target)) {
+      // Do nothing if none of the elements are rendered, or if clicking the
+      // elements or their children.
+      var elements = refElements(savedRefs.current);
+
+      if (elements.length === 0 || containsEvent(elements, event)) {
         return;
       } // Call the latest version of the handler, stored in the ref.
 
@@ -207,19 +2191,365 @@ var useOnClickOutSide = function useOnClickOutSide(ref, handler) {
       savedHandler.current(event);
     };
 
-    document.addEventListener("onClick", listener, {
-      capture: true
+    var types = eventTypes.split(' ');
+    types.forEach(function (type) {
+      return document.addEventListener(type, listener, {
+        capture: true
+      });
     });
     return function () {
-      document.removeEventListener("onClick", listener, {
+      types.forEach(function (type) {
+        return document.removeEventListener(type, listener, {
+          capture: true
+        });
+      });
+    };
+  }, [enabled, eventTypes]);
+}; // The original spelling, kept for backwards compatibility.
+
+var useOnClickOutSide = useOnClickOutside;
+var useOnFocusOutside = function useOnFocusOutside(refs, handler) {
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+  /*
+  Allows you to detect and act in response to focus moving outside a specified
+  element, e.g. when a keyboard user tabs out of a popover. It accepts the same
+  refs and `enabled` option as useOnClickOutside.
+  */
+  useOnClickOutside(refs, handler, _objectSpread(_objectSpread({}, options), {}, {
+    events: ['focusin']
+  }));
+}; // The number of layers enabled so far. React runs the effects of children
+// before those of their parents, but renders parents first, so layers are
+// ordered by when they're first rendered enabled. A menu rendered by a modal is
+// then above the modal, even when both are mounted at once.
+
+var layerCount = 0;
+
+var useLayerOrder = function useLayerOrder(enabled) {
+  // Returns the order of the layer, which is higher for layers above it.
+  var order = react.useRef(null);
+
+  if (!enabled) {
+    order.current = null;
+  } else if (order.current === null) {
+    order.current = ++layerCount;
+  }
+
+  return order.current;
+};
+
+var addLayer = function addLayer(stack, layer) {
+  // Adds the layer to the stack, which is kept sorted with the topmost last.
+  var index = stack.findIndex(function (other) {
+    return other.order > layer.order;
+  });
+  stack.splice(index === -1 ? stack.length : index, 0, layer);
+}; // Elements reachable with the Tab key, unless their tabindex is negative.
+
+
+var TABBABLE = ['a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])', 'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable]', '[tabindex]'].join(',');
+
+var tabbableElements = function tabbableElements(container) {
+  return Array.from(container.querySelectorAll(TABBABLE)).filter(function (element) {
+    return element.tabIndex >= 0;
+  });
+};
+
+var focusFirst = function focusFirst(container) {
+  (tabbableElements(container)[0] || container).focus();
+}; // The active focus traps, with the topmost last.
+
+
+var traps = [];
+
+var trapFocus = function trapFocus(event) {
+  // The document listener shared by all focus traps, keeping the focus within
+  // only the topmost one, e.g. a dialog opened over another dialog.
+  var trap = traps[traps.length - 1];
+
+  if (!trap) {
+    return;
+  }
+
+  var container = trap.container;
+
+  if (event.type === 'focusin') {
+    if (!container.contains(event.target)) {
+      focusFirst(container);
+    }
+
+    return;
+  }
+
+  if (event.key !== 'Tab') {
+    return;
+  }
+
+  var elements = tabbableElements(container);
+  var first = elements[0];
+  var last = elements[elements.length - 1];
+  var current = document.activeElement;
+
+  if (elements.length === 0) {
+    event.preventDefault();
+  } else if (event.shiftKey && (current === first || !elements.includes(current))) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (current === last || !elements.includes(current))) {
+    event.preventDefault();
+    first.focus();
+  }
+};
+
+var useFocusTrap = function useFocusTrap(ref) {
+  var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+  /*
+  Keeps the focus within an element while the `active` option is set, e.g. for
+  dialogs. Tab and Shift+Tab cycle through the tabbable elements within it, and
+  focus moving outside of it is moved back in. Traps are stacked like the
+  layers of useDismissableLayer, and only the topmost one keeps the focus.
+   On activation, the element of the `initialFocus` ref is focused, or else the
+  first tabbable element. If there are none, the container itself is focused,
+  which then needs a tabindex. On release, focus returns to the element that
+  had it before, e.g. the button opening the dialog, unless the `restoreFocus`
+  option is false.
+  */
+  var _options$active = options.active,
+      active = _options$active === void 0 ? true : _options$active,
+      initialFocus = options.initialFocus;
+  var order = useLayerOrder(active); // Store the options in a ref, so they are read when the trap is released,
+  // rather than when it was activated.
+
+  var savedOptions = react.useRef(options);
+  react.useEffect(function () {
+    savedOptions.current = options;
+  });
+  react.useEffect(function () {
+    var container = ref.current;
+
+    if (!active || !container) {
+      return;
+    }
+
+    var trap = {
+      order: order,
+      container: container,
+      trigger: document.activeElement
+    };
+    addLayer(traps, trap);
+
+    if (traps.length === 1) {
+      document.addEventListener('keydown', trapFocus);
+      document.addEventListener('focusin', trapFocus);
+    }
+
+    var above = traps[traps.indexOf(trap) + 1];
+
+    if (above) {
+      // A trap nested within this one was activated first, in the same commit,
+      // so it has already moved the focus. This trap returns it on release.
+      trap.trigger = above.trigger;
+      above.trigger = null;
+    } else if (initialFocus && initialFocus.current) {
+      initialFocus.current.focus();
+    } else {
+      focusFirst(container);
+    }
+
+    return function () {
+      traps.splice(traps.indexOf(trap), 1);
+
+      if (traps.length === 0) {
+        document.removeEventListener('keydown', trapFocus);
+        document.removeEventListener('focusin', trapFocus);
+      }
+
+      var _savedOptions$current7 = savedOptions.current.restoreFocus,
+          restoreFocus = _savedOptions$current7 === void 0 ? true : _savedOptions$current7;
+      var top = traps[traps.length - 1];
+
+      if (restoreFocus && trap.trigger && trap.trigger.focus && document.contains(trap.trigger)) {
+        trap.trigger.focus();
+      } else if (top && !top.container.contains(document.activeElement)) {
+        focusFirst(top.container);
+      }
+    };
+  }, [active]);
+}; // The mounted dismissable layers, with the topmost last.
+
+var layers = [];
+
+var dismissTopmostLayer = function dismissTopmostLayer(event) {
+  // The single document listener shared by all dismissable layers, dismissing
+  // only the topmost one.
+  var layer = layers[layers.length - 1];
+
+  if (!layer) {
+    return;
+  }
+
+  if (event.type === 'keydown') {
+    if (event.key === 'Escape') {
+      layer.onDismiss.current(event);
+    }
+
+    return;
+  }
+
+  var elements = refElements(layer.refs.current);
+
+  if (elements.length > 0 && !containsEvent(elements, event)) {
+    layer.onDismiss.current(event);
+  }
+};
+
+var useDismissableLayer = function useDismissableLayer(refs, onDismiss) {
+  var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+  /*
+  Calls onDismiss when the layer, e.g. a menu, dialog or tooltip, should be
+  closed: on a pointer event outside the elements of the refs, or when Escape
+  is pressed. Layers are stacked in the order they're rendered, children above
+  their parents, and only the topmost one is dismissed, so a dropdown within a
+  modal closes before the modal does.
+   Like useOnClickOutside, it accepts a ref or an array of refs, so content
+  rendered in a portal outside the layer's element may be included. Set the
+  `enabled` option to false to remove the layer from the stack.
+  */
+  var _options$enabled6 = options.enabled,
+      enabled = _options$enabled6 === void 0 ? true : _options$enabled6;
+  var order = useLayerOrder(enabled); // Store the refs and callback in refs, so the shared listener always sees the
+  // latest versions of them.
+
+  var savedRefs = react.useRef(refs);
+  var savedOnDismiss = react.useRef(onDismiss);
+  react.useEffect(function () {
+    savedRefs.current = refs;
+    savedOnDismiss.current = onDismiss;
+  });
+  react.useEffect(function () {
+    if (!enabled) {
+      return;
+    }
+
+    var layer = {
+      order: order,
+      refs: savedRefs,
+      onDismiss: savedOnDismiss
+    };
+    addLayer(layers, layer);
+
+    if (layers.length === 1) {
+      document.addEventListener('pointerdown', dismissTopmostLayer, {
         capture: true
       });
+      document.addEventListener('keydown', dismissTopmostLayer);
+    }
+
+    return function () {
+      layers.splice(layers.indexOf(layer), 1);
+
+      if (layers.length === 0) {
+        document.removeEventListener('pointerdown', dismissTopmostLayer, {
+          capture: true
+        });
+        document.removeEventListener('keydown', dismissTopmostLayer);
+      }
     };
-  }, [ref]);
+  }, [enabled]);
+}; // The scripts loaded by useScript, keyed by their source, so each is only
+// loaded once however many components use it.
+
+var scripts = new Map();
+
+var removeScript = function removeScript(source, entry) {
+  // Removes the script from the registry and the document.
+  if (scripts.get(source) === entry) {
+    scripts["delete"](source);
+  }
+
+  if (entry.script.parentNode) {
+    entry.script.parentNode.removeChild(entry.script);
+  }
+};
+
+var loadScript = function loadScript(source, options) {
+  /*
+  Returns the registry entry of the script, adding the script to the document
+  unless it's already loaded or loading. The listeners of the entry are called
+  with the new status and the event once it loads or fails. Failed scripts are
+  removed, so the next component using them tries again.
+  */
+  if (scripts.has(source)) {
+    return scripts.get(source);
+  }
+
+  var type = options.type,
+      integrity = options.integrity,
+      crossOrigin = options.crossOrigin,
+      nonce = options.nonce,
+      referrerPolicy = options.referrerPolicy,
+      _options$defer = options.defer,
+      defer = _options$defer === void 0 ? false : _options$defer,
+      _options$target = options.target,
+      target = _options$target === void 0 ? 'body' : _options$target;
+  var script = document.createElement("script");
+  script.src = source; // Async scripts are executed as soon as they load, even if they're deferred.
+
+  script.async = !defer;
+  script.defer = defer;
+  var attributes = {
+    type: type,
+    integrity: integrity,
+    crossorigin: crossOrigin,
+    nonce: nonce,
+    referrerpolicy: referrerPolicy
+  };
+  Object.keys(attributes).forEach(function (name) {
+    if (attributes[name]) {
+      script.setAttribute(name, attributes[name]);
+    }
+  }); // The number of components using the script, so it can be removed once none
+  // do.
+
+  var entry = {
+    script: script,
+    status: 'loading',
+    loadEvent: null,
+    listeners: new Set(),
+    users: 0
+  };
+
+  var onLoad = function onLoad(event) {
+    entry.status = 'ready'; // Kept for the components using the script after it has loaded.
+
+    entry.loadEvent = event;
+    entry.listeners.forEach(function (listener) {
+      return listener('ready', event);
+    });
+  };
+
+  var onError = function onError(event) {
+    entry.status = 'error';
+    removeScript(source, entry);
+    entry.listeners.forEach(function (listener) {
+      return listener('error', event);
+    });
+  };
+
+  script.addEventListener("load", onLoad);
+  script.addEventListener("error", onError);
+  (target === 'head' ? document.head : document.body).appendChild(script);
+  scripts.set(source, entry);
+  return entry;
 };
+
 var useScript = function useScript(source) {
   var onLoad = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : function () {};
   var onError = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : function () {};
+  var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
 
   /*
   Allows you to dynamically load an external script and add onload callbacks.
@@ -227,6 +2557,15 @@ var useScript = function useScript(source) {
   until the script has loaded before calling a function declared therein.
    The alternative is to include it in the document head for every page request,
   which would add loading time to your app.
+   Returns the status of the script, one of `'idle'`, `'loading'`, `'ready'` and
+  `'error'`. Components using the same script share a single script tag, and
+  those using it after it has loaded are ready right away, calling onLoad with
+  the same load event.
+   The `integrity`, `crossOrigin`, `nonce`, `type`, `defer` and `referrerPolicy`
+  options set the attributes of the script tag, which is appended to the body,
+  or the head if the `target` option is `'head'`. They're only used by the first
+  component adding the script. Set `removeOnUnmount` to remove the script tag
+  once no component uses it anymore.
   */
   // Create refs that stores the callbacks. That way if they change, (e.g.
   // because they were defined inline in a functional component that re-rendered)
@@ -240,34 +2579,52 @@ var useScript = function useScript(source) {
     savedOnLoad.current = onLoad;
     savedOnError.current = onError;
   }, [onLoad, onError]);
+
+  var _useState23 = react.useState(function () {
+    if (!source) {
+      return 'idle';
+    }
+
+    return scripts.has(source) ? scripts.get(source).status : 'loading';
+  }),
+      _useState24 = _slicedToArray__default['default'](_useState23, 2),
+      status = _useState24[0],
+      setStatus = _useState24[1];
+
   react.useEffect(function () {
     // Allows you to pass null as source, in case you want to conditionally
     // load the script.
     if (!source) {
+      setStatus('idle');
       return;
     }
 
-    var script = document.createElement("script");
-    script.src = source;
-    script.async = true;
-    document.body.appendChild(script);
+    var entry = loadScript(source, options);
+    entry.users += 1;
+    setStatus(entry.status);
 
-    var onLoad = function onLoad(event) {
-      // Call the latest version of the handler, stored in the ref.
-      savedOnLoad.current(event);
-    };
+    var listener = function listener(status, event) {
+      setStatus(status); // Call the latest version of the handler, stored in the ref.
 
-    var onError = function onError(event) {
-      // Call the latest version of the handler, stored in the ref.
-      savedOnError.current(event);
+      if (status === 'ready') {
+        savedOnLoad.current(event);
+      } else {
+        savedOnError.current(event);
+      }
     };
 
-    script.addEventListener("load", onLoad);
-    script.addEventListener("error", onError);
+    if (entry.status === 'ready') {
+      savedOnLoad.current(entry.loadEvent);
+    } else {
+      entry.listeners.add(listener);
+    }
+
     return function () {
-      if (script) {
-        script.removeEventListener("load", onLoad);
-        script.removeEventListener("error", onError);
+      entry.listeners["delete"](listener);
+      entry.users -= 1;
+
+      if (options.removeOnUnmount && entry.users === 0) {
+        removeScript(source, entry);
       }
     };
   }, [source]);
@@ -281,16 +2638,16 @@ var useCookie = function useCookie(initial, cookieName) {
   */
   // If the cookie already exists, use that as initial value, else
   // the provided one.
-  var _useState7 = react.useState(function () {
+  var _useState25 = react.useState(function () {
     // Cookies are always stored as string, so we cast the value to
     // a string before calling setValue so it's always consistent,
     // whether you get the provided value back or a value stored in
     // a cookie.
     return Cookies__default['default'].get(cookieName) || String(initial);
   }),
-      _useState8 = _slicedToArray__default['default'](_useState7, 2),
-      value = _useState8[0],
-      setValue = _useState8[1]; //See the js-cookie library for what attributes are allowed to be passed
+      _useState26 = _slicedToArray__default['default'](_useState25, 2),
+      value = _useState26[0],
+      setValue = _useState26[1]; //See the js-cookie library for what attributes are allowed to be passed
   //as coookie  options.
 
 
@@ -306,13 +2663,32 @@ var useCookie = function useCookie(initial, cookieName) {
   return [value, updateCookie];
 };
 
+exports.AsyncCacheProvider = AsyncCacheProvider;
+exports.asyncCache = asyncCache;
+exports.createAsyncCache = createAsyncCache;
+exports.createIndexedDBStorage = createIndexedDBStorage;
+exports.createLocalStorage = createLocalStorage;
+exports.createMemoryStorage = createMemoryStorage;
+exports.jsonSerializer = jsonSerializer;
+exports.setDeepCompareDiagnostics = setDeepCompareDiagnostics;
+exports.shallowEqual = shallowEqual;
+exports.structuredSerializer = structuredSerializer;
 exports.useAsync = useAsync;
+exports.useAsyncCache = useAsyncCache;
+exports.useAsyncResource = useAsyncResource;
 exports.useCookie = useCookie;
 exports.useDeepCompareCallback = useDeepCompareCallback;
 exports.useDeepCompareEffect = useDeepCompareEffect;
+exports.useDeepCompareImperativeHandle = useDeepCompareImperativeHandle;
+exports.useDeepCompareLayoutEffect = useDeepCompareLayoutEffect;
 exports.useDeepCompareMemo = useDeepCompareMemo;
 exports.useDelayedAsync = useDelayedAsync;
+exports.useDismissableLayer = useDismissableLayer;
+exports.useFocusTrap = useFocusTrap;
+exports.useInfiniteAsync = useInfiniteAsync;
 exports.useOnClickOutSide = useOnClickOutSide;
+exports.useOnClickOutside = useOnClickOutside;
+exports.useOnFocusOutside = useOnFocusOutside;
 exports.useScript = useScript;
 exports.useStoredReducer = useStoredReducer;
 exports.useStoredState = useStoredState;
@@ -1,176 +1,1790 @@
-import { useCallback, useEffect, useReducer, useState, useRef } from 'react';
+import {
+  createContext, createElement, useCallback, useContext, useEffect, useImperativeHandle, useLayoutEffect,
+  useReducer, useState, useRef
+} from 'react';
 
 import { dequal } from 'dequal';
 import Cookies from 'js-cookie';
 
 
+// Internal action used to replace the whole state, e.g. with an update written
+// by another tab. Being a symbol it can never collide with the action types of
+// the reducer passed to useStoredReducer.
+const REPLACE_STATE = Symbol('replaceState');
+
+
+// Internal method returned by useDelayedAsync, executing the function with
+// options overriding those passed to the hook. Used by useAsync to keep the
+// previous result while refetching in the background.
+const EXECUTE_WITH_OPTIONS = Symbol('executeWithOptions');
+
+
+// The built in conflict policies for useStoredReducer. Each one receives the
+// local state and the state written by another tab, and returns the state to
+// continue with.
+const conflictPolicies = {
+  lastWriterWins: (local, remote) => remote,
+  keepLocal: (local, remote) => local,
+};
+
+
+// The key used by structuredSerializer to tag values JSON can't represent.
+const TYPE = '$type';
+
+
+const toTagged = (value) => {
+  // Converts a value into one JSON can represent, replacing the values it can't
+  // with tagged objects describing them.
+  if (value === undefined) {
+    return {[TYPE]: 'undefined'};
+  }
+  if (typeof value === 'bigint') {
+    return {[TYPE]: 'BigInt', value: value.toString()};
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return {[TYPE]: 'Date', value: value.getTime()};
+  }
+  if (value instanceof RegExp) {
+    return {[TYPE]: 'RegExp', source: value.source, flags: value.flags};
+  }
+  if (value instanceof Map) {
+    return {[TYPE]: 'Map', value: Array.from(value, ([k, v]) => [toTagged(k), toTagged(v)])};
+  }
+  if (value instanceof Set) {
+    return {[TYPE]: 'Set', value: Array.from(value, toTagged)};
+  }
+  if (Array.isArray(value)) {
+    return value.map(toTagged);
+  }
+
+  const object = {};
+  Object.keys(value).forEach(key => {
+    object[key] = toTagged(value[key]);
+  });
+  // Objects that happen to contain the tag key are tagged themselves, so they
+  // are not mistaken for one of the values above.
+  return TYPE in value ? {[TYPE]: 'Object', value: object} : object;
+};
+
+
+const fromTagged = (value) => {
+  // Reverses toTagged.
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromTagged);
+  }
+
+  const fromTaggedObject = (object) => {
+    const result = {};
+    Object.keys(object).forEach(key => {
+      result[key] = fromTagged(object[key]);
+    });
+    return result;
+  };
+
+  switch (value[TYPE]) {
+    case 'undefined':
+      return undefined;
+    case 'BigInt':
+      return BigInt(value.value);
+    case 'Date':
+      // Invalid dates have the time NaN, which JSON stores as null.
+      return new Date(value.value === null ? NaN : value.value);
+    case 'RegExp':
+      return new RegExp(value.source, value.flags);
+    case 'Map':
+      return new Map(value.value.map(([k, v]) => [fromTagged(k), fromTagged(v)]));
+    case 'Set':
+      return new Set(value.value.map(fromTagged));
+    case 'Object':
+      return fromTaggedObject(value.value);
+    default:
+      return fromTaggedObject(value);
+  }
+};
+
+
+// Serializers convert the state to and from the string stored by
+// useStoredReducer. jsonSerializer is the default, while structuredSerializer
+// also round-trips Date, Map, Set, BigInt, RegExp and undefined.
+export const jsonSerializer = {
+  serialize: (value) => JSON.stringify(value),
+  deserialize: (item) => JSON.parse(item),
+};
+
+
+export const structuredSerializer = {
+  serialize: (value) => JSON.stringify(toTagged(value)),
+  deserialize: (item) => fromTagged(JSON.parse(item)),
+};
+
+
+// Storage adapters are asynchronous alternatives to the Web Storage API that
+// can be passed as storage to useStoredReducer. They implement `getItem`,
+// `setItem` and `removeItem`, each returning a promise.
+export const createMemoryStorage = () => {
+  /*
+  Creates a storage adapter keeping the items in memory. The items are lost on
+  a page refresh, but survive the component being remounted.
+  */
+  const items = new Map();
+
+  return {
+    getItem: (key) => Promise.resolve(items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+      return Promise.resolve();
+    },
+    removeItem: (key) => {
+      items.delete(key);
+      return Promise.resolve();
+    },
+  };
+};
+
+
+const createFallbackStorage = () => {
+  // The in-memory store useStoredReducer falls back to when the storage fails.
+  // Unlike the adapters it's synchronous, so it can be read while rendering.
+  const items = new Map();
+
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+};
+
+
+export const createLocalStorage = (storage=window.localStorage) => {
+  /*
+  Creates a storage adapter wrapping the browsers localStorage, or any other
+  storage implementing the Web Storage API, e.g. sessionStorage.
+  */
+  return {
+    getItem: (key) => Promise.resolve().then(() => storage.getItem(key)),
+    setItem: (key, value) => Promise.resolve().then(() => storage.setItem(key, value)),
+    removeItem: (key) => Promise.resolve().then(() => storage.removeItem(key)),
+  };
+};
+
+
+export const createIndexedDBStorage = (databaseName='react-hooks') => {
+  /*
+  Creates a storage adapter storing the items in an IndexedDB database with the
+  given name. Unlike localStorage it is not limited to a few megabytes, and
+  reading and writing does not block the main thread.
+  */
+  const storeName = 'items';
+
+  // The database is opened lazily, on the first access.
+  let database = null;
+  const open = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+
+  // Runs the operation in a transaction, resolving with the result of its
+  // request once the transaction has completed.
+  const transact = (mode, operation) => open().then(database => new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+
+  return {
+    getItem: (key) => transact('readonly', store => store.get(key)).then(
+      value => value === undefined ? null : value
+    ),
+    setItem: (key, value) => transact('readwrite', store => store.put(String(value), key)).then(() => {}),
+    removeItem: (key) => transact('readwrite', store => store.delete(key)).then(() => {}),
+  };
+};
+
+
+const migrate = (state, from, version, migrations) => {
+  /*
+  Upgrades state stored by useStoredReducer from one version to another, by
+  applying the migration registered for each version in turn.
+  */
+  if (from > version) {
+    throw new Error(`Stored state has version ${from}, which is newer than ${version}.`);
+  }
+
+  for (; from < version; from++) {
+    if (typeof migrations[from] !== 'function') {
+      throw new Error(`No migration from version ${from} of the stored state.`);
+    }
+    state = migrations[from](state, from);
+  }
+
+  return state;
+};
+
+
 export const useStoredReducer = (
-  reducer, initialState, storageKey, init=(i) => (i), storage=window.localStorage
+  reducer, initialState, storageKey, init=(i) => (i), storage=window.localStorage,
+  options={}
+) => {
+  /*
+  Equivalent to Reacts useReducer, but the state is stored either in the browsers
+  localStorage or sessionStorage so it is persisted through a page refresh. It
+  accepts an reducer, initial state, an identifying key, optionally an init
+  function, and the storage engine to use, which defaults to `window.localStorage`.
+
+  Updates written by other tabs are merged into the local state. The `sync`
+  option controls how they are received; `true` listens for storage events,
+  `'broadcast'` uses a BroadcastChannel and `false` disables syncing. The
+  `conflict` option decides what to do with them; `'lastWriterWins'`,
+  `'keepLocal'`, or a function `(local, remote) => state`.
+
+  Set the `version` option to store the version of the state next to it. Stored
+  state of an older version is upgraded by the `migrations`, a map from each
+  version to a function `(oldState, fromVersion) => newState`. State that can't
+  be read or migrated is replaced by the initial state, and the error passed to
+  the `onError` callback, which defaults to `console.error`.
+
+  The state is stored as JSON. Pass a `serializer`, an object with `serialize`
+  and `deserialize` functions, to store it in another format, e.g. the provided
+  `structuredSerializer`.
+
+  Besides the Web Storage API, storage can be an asynchronous storage adapter,
+  e.g. one created by `createIndexedDBStorage`. The stored state is then read
+  after the first render, and until it has been the initial state is used and
+  nothing is written. Along with the state and dispatch function the hook
+  returns an object whose `hydrated` flag tells whether the read has finished.
+
+  By default the state is written as soon as it changes. The `writeStrategy`
+  option can defer it; `{debounce: ms}` waits until the state has not changed
+  for the given time, `'idle'` until the browser is idle and `'pagehide'` until
+  the page is hidden. Pending writes are always flushed on unmount.
+
+  Set the `ttl` option to let the stored state expire the given number of
+  milliseconds after it was last written; expired state is treated as absent.
+  The returned object also holds a `reset` function, which removes the state
+  from storage and restores the initial state.
+
+  The key may change between renders, in which case the state stored under the
+  new key is loaded, or initialized if there is none.
+
+  If the storage is unavailable or full, e.g. in private browsing, the state is
+  kept in an in-memory store instead, and the error passed to the
+  `onStorageError` callback, which defaults to `onError`. The `status` of the
+  returned object tells whether the state is `'persisted'`, `'memoryOnly'`, or
+  if the last write failed with an `'error'`, e.g. because the state could not
+  be serialized.
+  */
+  const {
+    sync = true, conflict = 'lastWriterWins', version, migrations = {}, onError = console.error,
+    onStorageError = onError, serializer = jsonSerializer, writeStrategy = 'immediate', ttl
+  } = options;
+
+  // Store the error callbacks in refs, so the effects below always call the
+  // latest versions of them.
+  const savedOnError = useRef(onError);
+  const savedOnStorageError = useRef(onStorageError);
+  useEffect(() => {
+    savedOnError.current = onError;
+    savedOnStorageError.current = onStorageError;
+  }, [onError, onStorageError]);
+
+  // Convert between the state and the item stored. If versioning or expiry is
+  // enabled, the state is wrapped in an envelope holding its version and the
+  // time it was written. Decoding returns the state and that time, or null if
+  // the state has expired.
+  const enveloped = version !== undefined || ttl !== undefined;
+  const encode = (state, savedAt) => {
+    if (!enveloped) {
+      return serializer.serialize(state);
+    }
+    const envelope = {};
+    if (version !== undefined) {
+      envelope.version = version;
+    }
+    if (savedAt !== undefined) {
+      envelope.savedAt = savedAt;
+    }
+    envelope.state = state;
+    return serializer.serialize(envelope);
+  };
+  const decode = (item) => {
+    const data = serializer.deserialize(item);
+    if (!enveloped) {
+      return {state: data};
+    }
+
+    // State stored before versioning or expiry was enabled lacks the envelope,
+    // and counts as version 0 that never expires.
+    const isEnvelope = (
+      data !== null && typeof data === 'object' && 'state' in data && ('version' in data || 'savedAt' in data)
+    );
+    const { state, version: from = 0, savedAt } = isEnvelope ? data : {state: data};
+
+    if (ttl !== undefined && savedAt !== undefined && savedAt + ttl <= Date.now()) {
+      return null;
+    }
+    return {
+      state: version === undefined ? state : migrate(state, from, version, migrations),
+      savedAt
+    };
+  };
+
+  // The last value read from or written to storage. Used to avoid writing back
+  // the same value, which would otherwise make tabs echo each others updates.
+  const lastItem = useRef(null);
+
+  // The time the state was last written, if expiry is enabled.
+  const savedAt = useRef(undefined);
+
+  // The state restored by reset, which is not written to storage, so the key
+  // stays removed until the state changes again.
+  const resetState = useRef(undefined);
+
+  // The pending read of an asynchronous storage adapter, if any.
+  const pendingRead = useRef(null);
+
+  // The in-memory store used instead of the storage, once it has failed. It's
+  // read before the storage, as it holds the latest state of keys written since.
+  const fallback = useRef(null);
+
+  // We wrap the reducer so the state can be replaced by updates from other tabs,
+  // without requiring the provided reducer to know about them.
+  const storedReducer = (state, action) => {
+    return action && action.type === REPLACE_STATE ? action.update(state) : reducer(state, action);
+  };
+
+  // The key the current state was read from.
+  const loadedKey = useRef(storageKey);
+
+  const read = () => {
+    // Try to fetch and parse a previously stored state. If it does not exist
+    // or can't be retrieved;
+    let item = fallback.current ? fallback.current.getItem(storageKey) : null;
+    try {
+      if (item === null) {
+        item = storage.getItem(storageKey);
+      }
+    } catch (error) {
+      if (!fallback.current) {
+        fallback.current = createFallbackStorage();
+      }
+      savedOnStorageError.current(error);
+    }
+    try {
+      if (item && typeof item.then === 'function') {
+        pendingRead.current = item;
+      } else if (item) {
+        const stored = decode(item);
+        if (stored) {
+          lastItem.current = item;
+          savedAt.current = stored.savedAt;
+          return stored.state;
+        }
+      }
+    } catch (error) {
+      savedOnError.current(error);
+    }
+    // Use the provided initialState or init function.
+    return init(initialState);
+  };
+
+  // We pass a custom init function to useReducer, to ensure that we're only reading
+  // from storage once, and lazily.
+  const [state, dispatch] = useReducer(storedReducer, initialState, read);
+
+  const [hydrated, setHydrated] = useState(() => pendingRead.current === null);
+  const [status, setStatus] = useState(() => fallback.current ? 'memoryOnly' : 'persisted');
+
+  // Track whether we're mounted, as failed writes may be reported after unmount.
+  // Declared before the effect flushing pending writes, so it's cleaned up first.
+  const mounted = useRef(false);
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const updateStatus = (status) => {
+    if (mounted.current) {
+      setStatus(status);
+    }
+  };
+
+  // Switch to the in-memory store once the storage has failed, e.g. because
+  // it's unavailable or full, so we don't keep trying to write to it.
+  const fallBack = (error) => {
+    savedOnStorageError.current(error);
+    if (!fallback.current) {
+      fallback.current = createFallbackStorage();
+    }
+    updateStatus('memoryOnly');
+  };
+
+  // Finish reading from an asynchronous storage adapter, replacing the initial
+  // state with the stored one.
+  useEffect(() => {
+    const pending = pendingRead.current;
+    if (!pending) {
+      return;
+    }
+    pendingRead.current = null;
+
+    let cancelled = false;
+    pending
+      .then(item => {
+        if (cancelled || !item) {
+          return;
+        }
+        try {
+          const stored = decode(item);
+          if (stored) {
+            lastItem.current = item;
+            savedAt.current = stored.savedAt;
+            dispatch({type: REPLACE_STATE, update: () => stored.state});
+          }
+        } catch (error) {
+          savedOnError.current(error);
+        }
+      }, error => {
+        if (!cancelled) {
+          fallBack(error);
+        }
+      })
+      .then(() => {
+        if (!cancelled) {
+          setHydrated(true);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storageKey]);
+
+  // Store the conflict policy in a ref, so an inline merge function does not
+  // cause us to re-subscribe on every render.
+  const savedConflict = useRef();
+  useEffect(() => {
+    savedConflict.current = typeof conflict === 'function' ? conflict : conflictPolicies[conflict];
+  }, [conflict]);
+
+  // Listen for updates written by other tabs and merge them into the state.
+  const channel = useRef(null);
+  useEffect(() => {
+    if (!sync) {
+      return;
+    }
+
+    const receive = (item) => {
+      // The key was removed, i.e. the other tab reset the state.
+      if (item === null) {
+        lastItem.current = null;
+        savedAt.current = undefined;
+        if (savedConflict.current !== conflictPolicies.keepLocal) {
+          savedRestore.current();
+        }
+        return;
+      }
+
+      let remote;
+      try {
+        remote = decode(item);
+      } catch (error) {
+        savedOnError.current(error);
+        return;
+      }
+      if (remote) {
+        lastItem.current = item;
+        savedAt.current = remote.savedAt;
+        dispatch({type: REPLACE_STATE, update: (local) => savedConflict.current(local, remote.state)});
+      }
+    };
+
+    if (sync === 'broadcast' && typeof BroadcastChannel !== 'undefined') {
+      const broadcastChannel = new BroadcastChannel(storageKey);
+      broadcastChannel.onmessage = (event) => receive(event.data);
+      channel.current = broadcastChannel;
+      return () => {
+        broadcastChannel.close();
+        channel.current = null;
+      };
+    }
+
+    // Storage events are only fired in the other tabs, never in the one that
+    // wrote the value.
+    const listener = (event) => {
+      if (event.storageArea === storage && event.key === storageKey) {
+        receive(event.newValue);
+      }
+    };
+
+    window.addEventListener('storage', listener);
+    return () => {
+      window.removeEventListener('storage', listener);
+    };
+  }, [sync, storage, storageKey]);
+
+  // Try to persist the state to storage, or the in-memory store if it has
+  // failed. Asynchronous storage adapters may also fail by rejecting.
+  const write = (state) => {
+    let item;
+    try {
+      // The time written is left out of the comparison, as it differs on every
+      // write.
+      item = encode(state, savedAt.current);
+      if (item === lastItem.current) {
+        return;
+      }
+      if (ttl !== undefined) {
+        savedAt.current = Date.now();
+        item = encode(state, savedAt.current);
+      }
+    } catch (error) {
+      savedOnError.current(error);
+      updateStatus('error');
+      return;
+    }
+
+    const failed = (error) => {
+      fallBack(error);
+      fallback.current.setItem(storageKey, item);
+    };
+
+    try {
+      Promise.resolve((fallback.current || storage).setItem(storageKey, item)).catch(failed);
+    } catch (error) {
+      failed(error);
+    }
+    lastItem.current = item;
+    updateStatus(fallback.current ? 'memoryOnly' : 'persisted');
+    if (channel.current) {
+      channel.current.postMessage(item);
+    }
+  };
+
+  // Replace the state with the initial state, without writing it to storage.
+  const restore = () => {
+    const state = init(initialState);
+    resetState.current = state;
+    dispatch({type: REPLACE_STATE, update: () => state});
+  };
+
+  // Store the latest versions of write and restore in refs, so deferred writes
+  // and updates from other tabs always use the current storage, key and init.
+  const savedWrite = useRef(write);
+  const savedRestore = useRef(restore);
+  useEffect(() => {
+    savedWrite.current = write;
+    savedRestore.current = restore;
+  });
+
+  // The state waiting to be written by a deferred write strategy, wrapped in
+  // an object so undefined can be told apart from nothing pending.
+  const pendingWrite = useRef(null);
+  const flush = useCallback(() => {
+    if (pendingWrite.current) {
+      const { state } = pendingWrite.current;
+      pendingWrite.current = null;
+      savedWrite.current(state);
+    }
+  }, []);
+
+  // Whenever the state changes, persist it according to the write strategy.
+  useEffect(() => {
+    if (!hydrated) {
+      return;
+    }
+
+    if (state === resetState.current) {
+      pendingWrite.current = null;
+      return;
+    }
+    // Only the state restored by reset is skipped. Once the state changes, a
+    // later state equal to it, e.g. the initial state again, is written.
+    resetState.current = undefined;
+
+    if (writeStrategy === 'immediate') {
+      write(state);
+      return;
+    }
+
+    pendingWrite.current = {state};
+
+    // Clearing the timeout whenever the state changes again debounces the write.
+    if (writeStrategy.debounce !== undefined) {
+      const timeout = setTimeout(flush, writeStrategy.debounce);
+      return () => {
+        clearTimeout(timeout);
+      };
+    }
+
+    if (writeStrategy === 'idle') {
+      if (typeof window.requestIdleCallback === 'function') {
+        const handle = window.requestIdleCallback(flush);
+        return () => {
+          window.cancelIdleCallback(handle);
+        };
+      }
+      const timeout = setTimeout(flush, 0);
+      return () => {
+        clearTimeout(timeout);
+      };
+    }
+  }, [state, hydrated]);
+
+  // Pending writes are flushed when the page is hidden or unloaded, as it might
+  // not come back, and when the component unmounts.
+  useEffect(() => {
+    const visibilityListener = () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    };
+
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', visibilityListener);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', visibilityListener);
+      flush();
+    };
+  }, []);
+
+  // Remove the state from storage, and in other tabs, and restore the initial
+  // state.
+  const reset = useCallback(() => {
+    pendingWrite.current = null;
+    lastItem.current = null;
+    savedAt.current = undefined;
+    // The state is removed from the storage even if it has failed, as it may
+    // still hold an earlier state.
+    if (fallback.current) {
+      fallback.current.removeItem(storageKey);
+    }
+    try {
+      Promise.resolve(storage.removeItem(storageKey)).catch(fallBack);
+    } catch (error) {
+      fallBack(error);
+    }
+    if (channel.current) {
+      channel.current.postMessage(null);
+    }
+    savedRestore.current();
+  }, [storage, storageKey]);
+
+  // When the key changes, e.g. to that of another user or document, we load
+  // the state stored under the new key before rendering, so the state of the
+  // previous key is never shown or written under the new one. Writes still
+  // pending belong to the previous key, and are flushed first.
+  if (loadedKey.current !== storageKey) {
+    flush();
+    loadedKey.current = storageKey;
+    lastItem.current = null;
+    savedAt.current = undefined;
+    resetState.current = undefined;
+    pendingRead.current = null;
+
+    const state = read();
+    dispatch({type: REPLACE_STATE, update: () => state});
+    setHydrated(pendingRead.current === null);
+    if (fallback.current) {
+      setStatus('memoryOnly');
+    }
+  }
+
+  return [state, dispatch, { hydrated, reset, status }];
+};
+
+
+export const useStoredState = (
+  initialValue, storageKey, storage=window.localStorage, options={}
 ) => {
   /*
-  Equivalent to Reacts useReducer, but the state is stored either in the browsers
-  localStorage or sessionStorage so it is persisted through a page refresh. It
-  accepts an reducer, initial state, an identifying key, optionally an init
-  function, and the storage engine to use, which defaults to `window.localStorage`.
-  */
+  Equivalent to Reacts useState, but the state is stored either in the browsers
+  localStorage or sessionStorage so it is persisted through a page refresh. It
+  accepts an initial value, an identifying key, the storage engine to use,
+  which defaults to `window.localStorage`, and the same options as
+  useStoredReducer.
+  */
+
+  // useState is implemented internally in React from useReducer, so why not do
+  // the same? By building it from useStoredReducer rather then by wrapping
+  // useState we can reduce all the logic around storing and fetching from
+  // storage.
+
+  // useState is simply a useReducer with a reducer that simply replaces the
+  // last state, however the new state can be provided either as a value or
+  // as a function.
+  const reducer = (prevState, newState) => {
+    return typeof newState === 'function' ? newState(prevState) : newState;
+  };
+
+  // Likewise can the initial value be provided either as a value or as a function.
+  const init = (initialValue) => {
+    return typeof initialValue === 'function' ? initialValue() : initialValue;
+  };
+
+  return useStoredReducer(
+    reducer,
+    initialValue,
+    storageKey,
+    init,
+    storage,
+    options
+  );
+};
+
+
+const retryDelay = (failureCount, baseDelay, maxDelay) => {
+  /*
+  Returns the delay before retrying after the given number of failures. The
+  delay doubles with each failure up to the max delay, and is randomized by up
+  to half to keep many clients from retrying in lockstep.
+  */
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, failureCount - 1));
+  return delay / 2 + Math.random() * delay / 2;
+};
+
+
+const shouldRetry = (retry, failureCount, error) => {
+  // Whether to retry after the given number of failures, given the `retry`
+  // option, either the number of times to retry or a predicate.
+  return typeof retry === 'function' ? retry(failureCount, error) : failureCount <= retry;
+};
+
+
+const sleep = (delay, signal) => {
+  // Resolves after the delay, or rejects as soon as the signal is aborted.
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timeout);
+      reject(new DOMException('The execution was aborted.', 'AbortError'));
+    };
+    const timeout = setTimeout(() => {
+      signal.removeEventListener('abort', abort);
+      resolve();
+    }, delay);
+    signal.addEventListener('abort', abort);
+  });
+};
+
+
+export const useDelayedAsync = (asyncFunction, options={}) => {
+  /*
+  Wraps an async function, allowing it to be used directly in a React component.
+  It returns the same three values, `result`, `error`, `loading`, along with an
+  `execute` method allowing you to control when the function starts executing.
+
+  The arguments passed to `execute` are passed on to the async function, and the
+  promise it returns resolves with the result or rejects with the error. The
+  `status` is one of `'idle'`, `'pending'`, `'success'` and `'error'`.
+
+  Each execution is passed an AbortSignal, after the arguments. Starting a new
+  execution aborts the previous one, as does unmounting and calling the returned
+  `abort` method. The results of aborted executions are ignored, and their
+  promises resolve with undefined, so only real errors reject.
+
+  Failed executions are retried if the `retry` option is set, either to the
+  number of times to retry or a function `(failureCount, error) => boolean`.
+  The delay between retries grows exponentially from `retryDelay` to at most
+  `maxRetryDelay` milliseconds. The current `attempt` and, while waiting, the
+  time of the next one, `nextRetryAt`, are returned along with a `retry` method
+  executing the function again with the last arguments.
+
+  The result is cleared when an execution starts, unless the `keepPreviousResult`
+  option is set. For mutations, the `onMutate(args, result)` option returns an
+  optimistic result shown until the execution finishes, which is reverted if it
+  fails. The `onSuccess(result, args, context)` and `onError(error, args,
+  context)` options are called when an execution finishes, where the context
+  holds the `previousResult` and `optimisticResult`. If onMutate throws, the
+  execution fails with its error, without calling the function.
+   */
+  const [loading, setLoading] = useState(false);
+  const [result, setStateResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [attempt, setAttempt] = useState(0);
+  const [nextRetryAt, setNextRetryAt] = useState(null);
+
+  // Store the options in a ref, so inline retry functions and callbacks do not
+  // change the execute function on every render.
+  const savedOptions = useRef(options);
+  useEffect(() => {
+    savedOptions.current = options;
+  });
+
+  // The result shown, which optimistic results are computed from, and the last
+  // result that was not optimistic, which they're reverted to.
+  const shownResult = useRef(null);
+  const settledResult = useRef(null);
+  const setResult = (result) => {
+    shownResult.current = result;
+    setStateResult(result);
+  };
+
+  // The context of the current execution, if any, and whether its result is
+  // reverted when it fails or is aborted.
+  const context = useRef(null);
+
+  // The arguments of the last execution, used when retrying manually.
+  const lastArgs = useRef([]);
+
+  // The AbortController of the current execution, if any.
+  const controller = useRef(null);
+
+  // Abort the current execution on unmount, so we don't set the state of an
+  // unmounted component.
+  useEffect(() => {
+    return () => {
+      if (controller.current) {
+        controller.current.abort();
+      }
+    };
+  }, []);
+
+  // The execute function is wrapped in a useCallback to ensure that it can be
+  // used as a dependency to useEffect, without it being called on every re-render.
+  const executeWithOptions = useCallback((overrides, ...args) => {
+    if (controller.current) {
+      controller.current.abort();
+    }
+    const current = new AbortController();
+    controller.current = current;
+    lastArgs.current = args;
+
+    const { onMutate, keepPreviousResult = false } = {...savedOptions.current, ...overrides};
+    const reverts = Boolean(onMutate) || keepPreviousResult;
+    const mutation = {previousResult: settledResult.current};
+    context.current = {mutation, reverts};
+
+    setLoading(true);
+    setError(null);
+    setStatus('pending');
+
+    // An error thrown by onMutate fails the execution like a rejected call,
+    // without calling the function.
+    let mutateError = null;
+    if (onMutate) {
+      try {
+        mutation.optimisticResult = onMutate(args, shownResult.current);
+        setResult(mutation.optimisticResult);
+      } catch (error) {
+        mutateError = error;
+      }
+    } else if (!keepPreviousResult) {
+      settledResult.current = null;
+      setResult(null);
+    }
+
+    // Run the function, and keep retrying it after a delay for as long as it
+    // fails and should be retried.
+    const run = (attempt) => {
+      setAttempt(attempt);
+      setNextRetryAt(null);
+      return asyncFunction(...args, current.signal).catch(error => {
+        const { retry = 0 } = savedOptions.current;
+        if (current.signal.aborted || !shouldRetry(retry, attempt, error)) {
+          throw error;
+        }
+        const { retryDelay: baseDelay = 1000, maxRetryDelay = 30000 } = savedOptions.current;
+        const delay = retryDelay(attempt, baseDelay, maxRetryDelay);
+        setNextRetryAt(Date.now() + delay);
+        return sleep(delay, current.signal).then(() => run(attempt + 1));
+      });
+    };
+
+    return (mutateError ? Promise.reject(mutateError) : run(1))
+      .then(response => {
+        // The results of aborted executions are ignored.
+        if (current.signal.aborted) {
+          return undefined;
+        }
+        controller.current = null;
+        context.current = null;
+        settledResult.current = response;
+        setResult(response);
+        setLoading(false);
+        setStatus('success');
+        const { onSuccess } = savedOptions.current;
+        if (onSuccess) {
+          onSuccess(response, args, mutation);
+        }
+        return response;
+      }, error => {
+        if (current.signal.aborted) {
+          return undefined;
+        }
+        controller.current = null;
+        context.current = null;
+        if (reverts) {
+          setResult(mutation.previousResult);
+        }
+        setError(error);
+        setLoading(false);
+        setStatus('error');
+        const { onError } = savedOptions.current;
+        if (onError) {
+          onError(error, args, mutation);
+        }
+        throw error;
+      });
+
+  }, [asyncFunction]);
+
+  const execute = useCallback((...args) => {
+    return executeWithOptions({}, ...args);
+  }, [executeWithOptions]);
+
+  const abort = useCallback(() => {
+    if (controller.current) {
+      if (context.current.reverts) {
+        setResult(context.current.mutation.previousResult);
+      }
+      context.current = null;
+      controller.current.abort();
+      controller.current = null;
+      setLoading(false);
+      setStatus('idle');
+      setNextRetryAt(null);
+    }
+  }, []);
+
+  const retry = useCallback(() => {
+    return execute(...lastArgs.current);
+  }, [execute]);
+
+  return {
+    result, error, loading, status, attempt, nextRetryAt, execute, abort, retry,
+    [EXECUTE_WITH_OPTIONS]: executeWithOptions,
+  };
+};
+
+
+// How long the results of useAsync are cached after no component uses them.
+const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+
+
+// When the data of a key was filled by a fetch a component suspended on, by
+// cache. The suspended component is rendered from scratch once the fetch
+// settles, losing its refs, so the first component mounting with that data
+// looks it up here instead of refetching it.
+const suspendedUpdates = new WeakMap();
+
+
+// Keys of the async cache may be strings or arrays of JSON values, which are
+// compared by their hash so that arrays recreated every render are equal.
+const hashKey = (key) => JSON.stringify(key);
+
+
+export const createAsyncCache = () => {
+  /*
+  Creates a cache for the results of useAsync, keyed by the keys passed to it.
+  Concurrent fetches of the same key are merged into one, and results no longer
+  used by any component are removed after their cache time.
+  */
+  const entries = new Map();
+
+  const getEntry = (key) => {
+    const hash = hashKey(key);
+    if (!entries.has(hash)) {
+      const entry = {
+        hash, data: undefined, error: null, updatedAt: 0, invalidated: false, promise: null,
+        attempt: 0, nextRetryAt: null, fetcher: null, fetchOptions: {}, listeners: new Set(), gcTimeout: null,
+      };
+      entries.set(hash, entry);
+      scheduleRemoval(entry, DEFAULT_CACHE_TIME);
+    }
+    return entries.get(hash);
+  };
+
+  const scheduleRemoval = (entry, cacheTime) => {
+    clearTimeout(entry.gcTimeout);
+    entry.gcTimeout = setTimeout(() => {
+      if (entry.listeners.size === 0) {
+        entries.delete(entry.hash);
+      }
+    }, cacheTime);
+  };
+
+  const notify = (entry) => {
+    entry.listeners.forEach(listener => listener());
+  };
+
+  const get = (key) => {
+    // Returns a snapshot of the cached state of the key, or undefined if it's
+    // not cached.
+    const entry = entries.get(hashKey(key));
+    if (!entry) {
+      return undefined;
+    }
+    const { data, error, updatedAt, invalidated, promise, attempt, nextRetryAt } = entry;
+    return {
+      data, error, updatedAt, invalidated, attempt, nextRetryAt, fetching: promise !== null, hasData: updatedAt > 0
+    };
+  };
+
+  const fetch = (key, asyncFunction, options={}) => {
+    // Fetches the key with the async function, unless it is already being
+    // fetched, in which case the pending fetch is returned. Failed fetches are
+    // retried according to the `retry`, `retryDelay` and `maxRetryDelay`
+    // options, like in useDelayedAsync, until no component uses the key.
+    const entry = getEntry(key);
+    entry.fetcher = asyncFunction;
+    entry.fetchOptions = options;
+    if (entry.promise) {
+      return entry.promise;
+    }
+
+    const { retry = 0, retryDelay: baseDelay = 1000, maxRetryDelay = 30000 } = options;
+    // A fetch started by a suspended component, or outside of any, has no
+    // subscribers yet, so retrying only stops once it has had some.
+    let subscribed = entry.listeners.size > 0;
+    const run = (attempt) => {
+      Object.assign(entry, {attempt, nextRetryAt: null});
+      return asyncFunction().catch(error => {
+        if (!shouldRetry(retry, attempt, error)) {
+          throw error;
+        }
+        const delay = retryDelay(attempt, baseDelay, maxRetryDelay);
+        entry.nextRetryAt = Date.now() + delay;
+        notify(entry);
+        subscribed = subscribed || entry.listeners.size > 0;
+        return new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+          if (subscribed && entry.listeners.size === 0) {
+            throw error;
+          }
+          const retried = run(attempt + 1);
+          notify(entry);
+          return retried;
+        });
+      });
+    };
+
+    entry.promise = run(1)
+      .then(data => {
+        Object.assign(entry, {data, error: null, updatedAt: Date.now(), invalidated: false, promise: null});
+        notify(entry);
+        return data;
+      }, error => {
+        Object.assign(entry, {error, promise: null});
+        notify(entry);
+        throw error;
+      });
+    notify(entry);
+    return entry.promise;
+  };
+
+  const setData = (key, data) => {
+    // Sets the cached data of the key. Like the setter returned by useState,
+    // it accepts either the new data, or a function of the previous data.
+    const entry = getEntry(key);
+    const value = typeof data === 'function' ? data(entry.data) : data;
+    Object.assign(entry, {data: value, error: null, updatedAt: Date.now(), invalidated: false});
+    notify(entry);
+  };
+
+  const invalidate = (key) => {
+    // Marks the cached data of the key as stale, refetching it if it's used
+    // by any component.
+    const entry = entries.get(hashKey(key));
+    if (!entry) {
+      return;
+    }
+    entry.invalidated = true;
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      fetch(key, entry.fetcher, entry.fetchOptions).catch(() => {});
+    } else {
+      notify(entry);
+    }
+  };
+
+  const reset = (key) => {
+    // Resets the key to its initial state, refetching it if it's used by any
+    // component, e.g. to retry a failed fetch from an error boundary.
+    const entry = entries.get(hashKey(key));
+    if (!entry) {
+      return;
+    }
+    Object.assign(entry, {data: undefined, error: null, updatedAt: 0, invalidated: false});
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      fetch(key, entry.fetcher, entry.fetchOptions).catch(() => {});
+    } else {
+      notify(entry);
+    }
+  };
+
+  const subscribe = (key, listener, cacheTime=DEFAULT_CACHE_TIME) => {
+    // Calls the listener whenever the cached state of the key changes. Returns
+    // a function unsubscribing it.
+    const entry = getEntry(key);
+    clearTimeout(entry.gcTimeout);
+    entry.listeners.add(listener);
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) {
+        scheduleRemoval(entry, cacheTime);
+      }
+    };
+  };
+
+  const clear = () => {
+    entries.forEach(entry => clearTimeout(entry.gcTimeout));
+    entries.clear();
+  };
+
+  return { get, fetch, setData, invalidate, reset, subscribe, clear };
+};
+
+
+// The cache used by useAsync, unless another one is provided by an
+// AsyncCacheProvider.
+export const asyncCache = createAsyncCache();
+
+
+const AsyncCacheContext = createContext(asyncCache);
+
+
+export const AsyncCacheProvider = ({ cache, children }) => {
+  /*
+  Provides the cache used by the useAsync hooks of its descendants, e.g. to give
+  each test, or each server rendered request, a cache of its own.
+  */
+  return createElement(AsyncCacheContext.Provider, {value: cache}, children);
+};
+
+
+export const useAsyncCache = () => {
+  /*
+  Returns the cache used by useAsync in this component, to invalidate or set
+  the cached data of a key.
+  */
+  return useContext(AsyncCacheContext);
+};
+
+
+const useRefetch = (refetch, fetching, options) => {
+  /*
+  Calls refetch every `refetchInterval` milliseconds, and optionally when the
+  window regains focus or the browser comes back online. Shared by both forms
+  of useAsync.
+  */
+  const {
+    enabled = true, refetchInterval, refetchOnWindowFocus = false, refetchOnReconnect = false
+  } = options;
+
+  // Store refetch and whether we're fetching in refs, so the event listeners
+  // below always see the latest versions of them.
+  const savedRefetch = useRef(refetch);
+  const savedFetching = useRef(fetching);
+  useEffect(() => {
+    savedRefetch.current = refetch;
+    savedFetching.current = fetching;
+  });
+
+  // Polling is paused while the document is hidden.
+  const [visible, setVisible] = useState(() => document.visibilityState !== 'hidden');
+  useEffect(() => {
+    if (!refetchInterval) {
+      return;
+    }
+    const listener = () => setVisible(document.visibilityState !== 'hidden');
+    document.addEventListener('visibilitychange', listener);
+    return () => {
+      document.removeEventListener('visibilitychange', listener);
+    };
+  }, [refetchInterval]);
+
+  // The next refetch is only scheduled once the previous one has finished, so
+  // they never overlap.
+  useEffect(() => {
+    if (!enabled || !refetchInterval || !visible || fetching) {
+      return;
+    }
+    const timeout = setTimeout(() => savedRefetch.current(), refetchInterval);
+    return () => {
+      clearTimeout(timeout);
+    };
+  }, [enabled, refetchInterval, visible, fetching]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    const listener = () => {
+      if (!savedFetching.current) {
+        savedRefetch.current();
+      }
+    };
+
+    if (refetchOnWindowFocus) {
+      window.addEventListener('focus', listener);
+    }
+    if (refetchOnReconnect) {
+      window.addEventListener('online', listener);
+    }
+    return () => {
+      window.removeEventListener('focus', listener);
+      window.removeEventListener('online', listener);
+    };
+  }, [enabled, refetchOnWindowFocus, refetchOnReconnect]);
+};
+
+
+const useCachedAsync = (key, asyncFunction, options={}) => {
+  /*
+  The keyed form of useAsync, sharing the results of the async function with
+  every other component using the same key.
+  */
+  const { enabled = true, suspense = false, cacheTime = DEFAULT_CACHE_TIME, staleTime = 0 } = options;
+  const cache = useAsyncCache();
+  const hash = hashKey(key);
+
+  // Re-render whenever the cached state of the key changes.
+  const [, rerender] = useReducer(count => count + 1, 0);
+  useEffect(() => {
+    return cache.subscribe(key, rerender, cacheTime);
+  }, [cache, hash]);
+
+  // Store the async function in a ref, so an inline function does not cause
+  // a refetch on every render.
+  const savedFunction = useRef(asyncFunction);
+  useEffect(() => {
+    savedFunction.current = asyncFunction;
+  }, [asyncFunction]);
+
+  // The retry options are stored the same way, as they're passed to the cache.
+  const savedOptions = useRef(options);
+  useEffect(() => {
+    savedOptions.current = options;
+  });
+
+  const fetchKey = () => cache.fetch(key, () => savedFunction.current(), savedOptions.current);
+
+  // Fetch the key unless the cached data is still fresh, or was just fetched
+  // while suspended. Stale data is served while it's being revalidated.
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    const entry = cache.get(key);
+    const suspended = suspendedUpdates.get(cache);
+    if (suspended && suspended.has(hash)) {
+      const filledWhileSuspended = entry && suspended.get(hash) === entry.updatedAt;
+      suspended.delete(hash);
+      if (filledWhileSuspended) {
+        return;
+      }
+    }
+    if (!entry || !entry.hasData || entry.invalidated || Date.now() - entry.updatedAt >= staleTime) {
+      fetchKey().catch(() => {});
+    }
+  }, [cache, hash, enabled]);
+
+  const entry = cache.get(key) || {
+    data: undefined, error: null, fetching: false, hasData: false, attempt: 0, nextRetryAt: null
+  };
+
+  useRefetch(() => {
+    fetchKey().catch(() => {});
+  }, entry.fetching, options);
+
+  // Retrying fetches the key again, or returns the fetch in flight.
+  const retry = useCallback(() => fetchKey(), [cache, hash]);
+
+  let status = 'idle';
+  if (entry.error) {
+    status = 'error';
+  } else if (entry.hasData) {
+    status = 'success';
+  } else if (entry.fetching) {
+    status = 'pending';
+  }
+
+  // In suspense mode, suspend until the key has data, and throw the error to
+  // the nearest error boundary if it could not be fetched.
+  if (suspense && enabled && !entry.hasData) {
+    if (entry.error && !entry.fetching) {
+      throw entry.error;
+    }
+    const promise = fetchKey();
+    promise.then(() => {
+      if (!suspendedUpdates.has(cache)) {
+        suspendedUpdates.set(cache, new Map());
+      }
+      suspendedUpdates.get(cache).set(hash, cache.get(key).updatedAt);
+    }, () => {});
+    throw promise;
+  }
+
+  return {
+    result: entry.hasData ? entry.data : null,
+    error: entry.error,
+    loading: entry.fetching && !entry.hasData,
+    validating: entry.fetching,
+    status,
+    attempt: entry.attempt,
+    nextRetryAt: entry.nextRetryAt,
+    retry,
+  };
+};
+
+
+const useUncachedAsync = (asyncFunction, dependencies=[], options={}) => {
+  /*
+  The unkeyed form of useAsync. The function is executed again whenever the
+  dependencies change, compared by deep equality. Results of executions for
+  earlier dependencies are discarded. Set the `enabled` option to false to hold
+  off executing, e.g. until the arguments are available. The retry options of
+  useDelayedAsync are accepted as well.
+   */
+  const { enabled = true, suspense = false } = options;
+
+  // Suspending requires the results to be cached, so it's only supported with
+  // a key.
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' && suspense) {
+      console.warn(
+        'useAsync ignores the suspense option unless it is called with a key. ' +
+        'Use useAsync(key, asyncFunction, options) or useAsyncResource instead.'
+      );
+    }
+  }, [suspense]);
+  const {
+    result, error, loading, status, attempt, nextRetryAt, execute, abort, retry,
+    [EXECUTE_WITH_OPTIONS]: executeWithOptions,
+  } = useDelayedAsync(asyncFunction, options);
+
+  // Like useDeepCompareEffect, but without warning about primitive dependencies.
+  const allDependencies = [enabled, ...dependencies];
+  const comparedDependencies = useDeepCompareCache(() => allDependencies, allDependencies, dequal, 1);
+  useEffect(() => {
+    if (enabled) {
+      // The error is available from the state, so the rejection is handled here.
+      // Starting a new execution aborts the previous one, so its result is discarded.
+      execute().catch(() => {});
+    } else {
+      abort();
+    }
+  }, comparedDependencies);
+
+  // Refetches happen in the background, so the previous result is shown until
+  // they finish, like in the keyed form.
+  useRefetch(() => {
+    executeWithOptions({keepPreviousResult: true}).catch(() => {});
+  }, loading, options);
+
+  return { result, error, loading, status, attempt, nextRetryAt, retry };
+};
+
+
+export const useAsync = (...args) => {
+  /*
+  Wraps an async function, allowing it to be used directly in a React component.
+  It returns three values, `result`, `error` and `loading`, allowing you to track
+  the state of the async call and change your component accordingly, along with
+  the same `status` as useDelayedAsync.
+
+  It's called either as `useAsync(asyncFunction, dependencies, options)`, or with
+  a key as `useAsync(key, asyncFunction, options)`, in which case the results are
+  cached and shared with every component using the same key. Which form is used
+  must not change between renders.
+
+  In the keyed form, cached data is served while it's revalidated, unless it's
+  younger than the `staleTime` option, and kept for `cacheTime` milliseconds
+  after no component uses it. The `validating` flag tells whether a fetch is in
+  flight. Use `useAsyncCache` to invalidate or set the cached data of a key.
+
+  Both forms accept the retry options of useDelayedAsync, and return the
+  `attempt`, `nextRetryAt` and `retry` method. In the keyed form, the options
+  of the component starting a fetch are used, and retrying fetches the key.
+
+  Either form refetches every `refetchInterval` milliseconds, if set, without
+  overlapping calls and pausing while the document is hidden. Set the options
+  `refetchOnWindowFocus` and `refetchOnReconnect` to also refetch when the
+  window regains focus or the browser comes back online. The previous result is
+  kept while refetching.
+
+  Set the `suspense` option in the keyed form to suspend the component until
+  the result is available, and throw errors to the nearest error boundary.
+  Data fetched while suspended isn't refetched on mount. Use `reset` of the
+  cache to retry a key that failed.
+  Without a key the option is ignored, with a warning in development.
+   */
+  return typeof args[0] === 'function' ? useUncachedAsync(...args) : useCachedAsync(...args);
+};
+
+
+export const useAsyncResource = (key, asyncFunction, options={}) => {
+  /*
+  Returns the result of the async function, cached by key, suspending the
+  component until it's available. Errors are thrown to the nearest error
+  boundary. A shorthand for `useAsync(key, asyncFunction, {suspense: true})`.
+   */
+  return useCachedAsync(key, asyncFunction, {...options, suspense: true}).result;
+};
 
-  // We pass a custom init function to useReducer, to ensure that we're only reading
-  // from storage once, and lazily.
-  const [state, dispatch] = useReducer(reducer, initialState, (initialState) => {
-    // Try to fetch and parse a previously stored state. If it does not exist
-    // or can't be retrieved;
-    try {
-      const item = storage.getItem(storageKey);
-      if (item) return JSON.parse(item);
-    } catch (error) {
-      console.error(error);
+
+export const useInfiniteAsync = (fetchPage, getNextPageParam, options={}) => {
+  /*
+  Loads a list page by page, e.g. for infinite scrolling. The first page is
+  fetched on mount by calling `fetchPage(pageParam, signal)` with the
+  `initialPageParam` option, which defaults to 0. The param of each following
+  page is returned by `getNextPageParam(lastPage, pages)`, or undefined or null
+  when there are no more pages. Set the `enabled` option to false to hold off
+  fetching the first page.
+
+  The loaded `pages` are returned along with `fetchNextPage`, `hasNextPage` and
+  `isFetchingNextPage`. Calling `fetchNextPage` while a page is being fetched
+  returns the pending promise rather than fetching the page twice. The returned
+  `refetch` method clears the pages and fetches the first page again, aborting
+  any page being fetched.
+
+  It's built on useDelayedAsync, so the `error`, `loading` and `status` it
+  returns, the `abort` method, cancellation and retry options work the same.
+   */
+  const { initialPageParam = 0, enabled = true } = options;
+  const [pages, setPages] = useState([]);
+  const [fetchingNextPage, setFetchingNextPage] = useState(false);
+
+  // The pages are also kept in a ref, so pages fetched right after each other
+  // are appended to the latest list.
+  const savedPages = useRef(pages);
+
+  const savedGetNextPageParam = useRef(getNextPageParam);
+  useEffect(() => {
+    savedGetNextPageParam.current = getNextPageParam;
+  });
+
+  // The promise of the page being fetched, if any.
+  const pending = useRef(null);
+
+  const { error, loading, status, execute, abort } = useDelayedAsync(fetchPage, {
+    ...options,
+    onSuccess: (page, args, context) => {
+      savedPages.current = [...savedPages.current, page];
+      setPages(savedPages.current);
+      if (options.onSuccess) {
+        options.onSuccess(page, args, context);
+      }
     }
-    // Use the provided initialState or init function.
-    return init(initialState);
   });
 
-  // Whenever the state changes, try to persist it to storage
+  const fetch = useCallback((pageParam) => {
+    const promise = execute(pageParam);
+    pending.current = promise;
+    const clear = () => {
+      if (pending.current === promise) {
+        pending.current = null;
+      }
+    };
+    promise.then(clear, clear);
+    return promise;
+  }, [execute]);
+
+  const nextPageParam = (pages) => {
+    return pages.length ? savedGetNextPageParam.current(pages[pages.length - 1], pages) : null;
+  };
+
+  const fetchNextPage = useCallback(() => {
+    if (pending.current) {
+      return pending.current;
+    }
+    const pageParam = nextPageParam(savedPages.current);
+    if (pageParam === undefined || pageParam === null) {
+      return Promise.resolve();
+    }
+    setFetchingNextPage(true);
+    return fetch(pageParam);
+  }, [fetch]);
+
+  const refetch = useCallback(() => {
+    savedPages.current = [];
+    setPages([]);
+    setFetchingNextPage(false);
+    return fetch(initialPageParam);
+  }, [fetch, initialPageParam]);
+
+  const abortFetch = useCallback(() => {
+    pending.current = null;
+    abort();
+  }, [abort]);
+
+  // The error is available from the state, so the rejection is handled here.
   useEffect(() => {
-    try {
-      storage.setItem(storageKey, JSON.stringify(state));
-    } catch (error) {
-      console.error(error);
+    if (enabled) {
+      refetch().catch(() => {});
+    } else {
+      abortFetch();
     }
-  }, [state]);
+  }, [enabled]);
+
+  const next = nextPageParam(pages);
 
-  return [state, dispatch];
+  return {
+    pages,
+    error,
+    loading,
+    status,
+    hasNextPage: next !== undefined && next !== null,
+    isFetchingNextPage: loading && fetchingNextPage,
+    fetchNextPage,
+    refetch,
+    abort: abortFetch,
+  };
 };
 
 
-export const useStoredState = (
-  initialValue, storageKey, storage=window.localStorage
-) => {
+export const shallowEqual = (a, b) => {
   /*
-  Equivalent to Reacts useState, but the state is stored either in the browsers
-  localStorage or sessionStorage so it is persisted through a page refresh. It
-  accepts an initial value, an identifying key, and the storage engine to use,
-  which defaults to `window.localStorage`.
-  */
+  Compares two values one level deep: arrays by their items and objects by their
+  own properties, which are compared by identity. Useful as the comparator of
+  the deep compare hooks, for large dependencies that are replaced rather than
+  mutated.
+   */
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => (
+    Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+  ));
+};
 
-  // useState is implemented internally in React from useReducer, so why not do
-  // the same? By building it from useStoredReducer rather then by wrapping
-  // useState we can reduce all the logic around storing and fetching from
-  // storage.
 
-  // useState is simply a useReducer with a reducer that simply replaces the
-  // last state, however the new state can be provided either as a value or
-  // as a function.
-  const reducer = (prevState, newState) => {
-    return typeof newState === 'function' ? newState(prevState) : newState;
-  };
+const dependenciesEqual = (a, b, isEqual) => {
+  // Dependencies are compared item by item, like React does, but with the given
+  // comparator. Missing dependencies never equal, so they change every render.
+  return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+    a.every((dependency, i) => isEqual(dependency, b[i]));
+};
 
-  // Likewise can the initial value be provided either as a value or as a function.
-  const init = (initialValue) => {
-    return typeof initialValue === 'function' ? initialValue() : initialValue;
-  };
 
-  return useStoredReducer(
-    reducer,
-    initialValue,
-    storageKey,
-    init,
-    storage
-  );
-};
+// Whether the deep compare hooks log which of their dependencies changed. Only
+// used in development.
+let logDependencyChanges = false;
 
 
-export const useDelayedAsync = (asyncFunction) => {
+export const setDeepCompareDiagnostics = (enabled) => {
   /*
-  Wraps an async function, allowing it to be used directly in a React component.
-  It returns the same three values, `result`, `error`, `loading`, along with an
-  `execute` method allowing you to control when the function starts executing.
+  Enables logging the paths and values of the dependencies that changed, each
+  time a deep compare hook recomputes or re-runs. Only has an effect in
+  development, where the hooks also warn about dependencies better handled by
+  the plain React hooks.
    */
-  const [loading, setLoading] = useState(false);
-  const [result, setResult] = useState(null);
-  const [error, setError] = useState(null);
+  if (process.env.NODE_ENV !== 'production') {
+    logDependencyChanges = enabled;
+  }
+};
 
-  // The execute function is wrapped in a useCallback to ensure that it can be
-  // used as a dependency to useEffect, without it being called on every re-render.
-  const execute = useCallback(() => {
-    setLoading(true);
-    setResult(null);
-    setError(null);
 
-    return asyncFunction()
-      .then(response => {
-        setResult(response);
-        setLoading(false);
-      })
-      .catch(error => {
-        setError(error);
-        setLoading(false);
-      });
+const diffDependencies = (previous, next, path='', changes=[]) => {
+  // Collects the paths at which two values differ, descending into objects and
+  // arrays.
+  if (Object.is(previous, next)) {
+    return changes;
+  }
+  const isObject = (value) => typeof value === 'object' && value !== null;
+  if (!isObject(previous) || !isObject(next) || Array.isArray(previous) !== Array.isArray(next)) {
+    changes.push({path, previous, next});
+    return changes;
+  }
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  keys.forEach(key => {
+    const keyPath = Array.isArray(next) ? `${path}[${key}]` : `${path}.${key}`;
+    diffDependencies(previous[key], next[key], keyPath, changes);
+  });
+  return changes;
+};
 
-  }, [asyncFunction]);
 
-  return { result, error, loading, execute };
+const checkDependencies = (dependencies, hook) => {
+  // Warns about dependencies which make the deep compare hook pointless.
+  const plainHook = hook.replace('DeepCompare', '');
+  if (!Array.isArray(dependencies)) {
+    console.warn(
+      `${hook} was called without an array of dependencies, so they change on every render.`
+    );
+  } else if (dependencies.length === 0) {
+    console.warn(`${hook} was called with no dependencies. Use ${plainHook} instead.`);
+  } else if (dependencies.every(dependency => typeof dependency !== 'object' || dependency === null)) {
+    console.warn(
+      `${hook} was called with only primitive dependencies, which are compared the same by ` +
+      `${plainHook}. Use ${plainHook} instead.`
+    );
+  }
 };
 
 
-export const useAsync = (asyncFunction) => {
+const useDeepCompareCache = (func, dependencies, isEqual, maxSize, hook) => {
   /*
-  Wraps an async function, allowing it to be used directly in a React component.
-  It returns three values, `result`, `error` and `loading`, allowing you to track
-  the state of the async call and change your component accordingly.
+  Returns the value of func cached for the dependencies, shared by the deep
+  compare hooks. The development diagnostics are only run if the name of the
+  calling hook is given, so hooks using it internally don't warn.
    */
-  const { result, error, loading, execute } = useDelayedAsync(asyncFunction);
+  // The cached entries, with the most recently used last.
+  const ref = useRef([]);
+  const entries = ref.current;
 
-  useEffect(() => {
-    execute();
-  }, []);
+  if (process.env.NODE_ENV !== 'production' && hook && entries.length === 0) {
+    checkDependencies(dependencies, hook);
+  }
+
+  const index = entries.findIndex(entry => dependenciesEqual(dependencies, entry.key, isEqual));
+  if (index !== -1) {
+    const entry = entries[index];
+    if (index !== entries.length - 1) {
+      entries.splice(index, 1);
+      entries.push(entry);
+    }
+    return entry.value;
+  }
+
+  if (process.env.NODE_ENV !== 'production' && hook && logDependencyChanges && entries.length > 0) {
+    const previous = entries[entries.length - 1].key;
+    if (Array.isArray(previous) && Array.isArray(dependencies)) {
+      const changes = diffDependencies(previous, dependencies);
+      const paths = changes.length ? changes.map(change => change.path).join(', ') : 'none, changed by the comparator';
+      console.log(`${hook} dependencies changed at ${paths}`, changes);
+    }
+  }
 
-  return { result, error, loading };
+  const entry = {key: dependencies, value: func()};
+  entries.push(entry);
+  if (entries.length > Math.max(1, maxSize)) {
+    entries.shift();
+  }
+  return entry.value;
 };
 
 
-export const useDeepCompareMemo = (func, dependencies) => {
+export const useDeepCompareMemo = (func, dependencies, isEqual=dequal, maxSize=1) => {
   /*
   Equivalent to Reacts useMemo, but relies on deep equality, rather than
   referential equality. This allows you to pass object and arrays, including values that
   are recreated each re-render, as dependencies.
 
-  Like useMemo useDeepCompareMemo caches only the most recent value, not all
-  observed values.
-   */
-  const ref = useRef({})
+  Each dependency is compared with `isEqual`, which defaults to deep equality,
+  e.g. pass `shallowEqual` for large dependencies.
 
-  if (!ref.current || !dequal(dependencies, ref.current.key)) {
-    ref.current = {key: dependencies, value: func()};
-  }
+  Like useMemo useDeepCompareMemo caches only the most recent value, not all
+  observed values, unless `maxSize` is set. It then caches the values of that
+  many dependencies, evicting the least recently used one, so dependencies
+  switching between a few values are computed once each.
 
-  return ref.current.value
+  In development it warns when the dependencies are missing, empty or all
+  primitives, and logs which of them changed if enabled with
+  `setDeepCompareDiagnostics`. The same goes for the other deep compare hooks.
+   */
+  return useDeepCompareCache(func, dependencies, isEqual, maxSize, 'useDeepCompareMemo');
 }
 
 
-export const useDeepCompareEffect = (callBack, dependencies) => {
+export const useDeepCompareEffect = (callBack, dependencies, isEqual=dequal) => {
   /*
   Equivalent to Reacts useEffect, but relies on deep equality, rather than
   referential equality. This allows you to pass object and arrays, including values that
-  are recreated each re-render, as dependencies.
+  are recreated each re-render, as dependencies. The dependencies are compared
+  with `isEqual`, like in useDeepCompareMemo.
+   */
+  useEffect(callBack, useDeepCompareCache(
+    () => dependencies, dependencies, isEqual, 1, 'useDeepCompareEffect'
+  ))
+}
+
+
+// useLayoutEffect warns when rendered on the server, where neither kind of
+// effect runs, so useEffect is used there instead.
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+
+export const useDeepCompareLayoutEffect = (callBack, dependencies, isEqual=dequal) => {
+  /*
+  Equivalent to Reacts useLayoutEffect, but relies on deep equality, rather than
+  referential equality, like useDeepCompareEffect. Falls back to useEffect when
+  rendered on the server.
+   */
+  useIsomorphicLayoutEffect(callBack, useDeepCompareCache(
+    () => dependencies, dependencies, isEqual, 1, 'useDeepCompareLayoutEffect'
+  ))
+}
+
+
+export const useDeepCompareImperativeHandle = (ref, create, dependencies, isEqual=dequal) => {
+  /*
+  Equivalent to Reacts useImperativeHandle, but relies on deep equality, rather
+  than referential equality, like useDeepCompareEffect.
    */
-  useEffect(callBack, useDeepCompareMemo(() => dependencies, dependencies))
+  useImperativeHandle(ref, create, useDeepCompareCache(
+    () => dependencies, dependencies, isEqual, 1, 'useDeepCompareImperativeHandle'
+  ))
 }
 
 
-export const useDeepCompareCallback= (callBack, dependencies) => {
+export const useDeepCompareCallback= (callBack, dependencies, isEqual=dequal) => {
   /*
   Equivalent to Reacts useCallback, but relies on deep equality, rather than
   referential equality. This allows you to pass object and arrays, including values that
-  are recreated each re-render, as dependencies.
+  are recreated each re-render, as dependencies. The dependencies are compared
+  with `isEqual`, like in useDeepCompareMemo.
    */
-  return useCallback(callBack, useDeepCompareMemo(() => dependencies, dependencies))
+  return useCallback(callBack, useDeepCompareCache(
+    () => dependencies, dependencies, isEqual, 1, 'useDeepCompareCallback'
+  ))
 }
 
 
-export const useOnClickOutSide = (ref, handler) => {
+const refElements = (refs) => {
+  // Returns the rendered elements of a ref or an array of refs.
+  return [].concat(refs).map(ref => ref && ref.current).filter(Boolean);
+};
+
+
+const containsEvent = (elements, event) => {
+  // Whether the event happened within any of the elements or their children,
+  // including children within shadow roots, which the target is retargeted from.
+  const path = event.composedPath ? event.composedPath() : [];
+  return elements.some(element => path.includes(element) || element.contains(event.target));
+};
+
+
+export const useOnClickOutside = (refs, handler, options={}) => {
   /*
   Allows you to detect and act in response to clicks outside a specified element.
+
+  Pass an array of refs to treat several elements as inside, e.g. a button and
+  the popover it opens. By default it listens for `pointerdown`, covering mouse,
+  touch and pen, but other events may be passed as the `events` option. Set the
+  `enabled` option to false to stop listening, e.g. while the popover is closed.
+  Events from within shadow DOM are attributed to the right element using
+  `event.composedPath()`.
   */
+  const { events = ['pointerdown'], enabled = true } = options;
 
   // Create a ref that stores handler. That way if the handler changes, (e.g.
   // because it was defined inline in a functional component that re-rendered)
@@ -183,25 +1797,340 @@ export const useOnClickOutSide = (ref, handler) => {
     savedHandler.current = handler;
   }, [handler]);
 
+  // The refs are stored the same way, so an inline array of them does not
+  // re-add the event listeners on every render.
+  const savedRefs = useRef(refs);
+  useEffect(() => {
+    savedRefs.current = refs;
+  });
+
+  const eventTypes = events.join(' ');
+
   useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
     const listener = (event) => {
-      // Do nothing if clicking the ref's or it's children elements
-      if (!ref.current || ref.current.contains(event.target)) {
+      // Do nothing if none of the elements are rendered, or if clicking the
+      // elements or their children.
+      const elements = refElements(savedRefs.current);
+      if (elements.length === 0 || containsEvent(elements, event)) {
         return;
       }
       // Call the latest version of the handler, stored in the ref.
       savedHandler.current(event);
     }
 
-    document.addEventListener("onClick", listener, {capture: true});
+    const types = eventTypes.split(' ');
+    types.forEach(type => document.addEventListener(type, listener, {capture: true}));
+    return () => {
+      types.forEach(type => document.removeEventListener(type, listener, {capture: true}));
+    }
+  }, [enabled, eventTypes]);
+}
+
+
+// The original spelling, kept for backwards compatibility.
+export const useOnClickOutSide = useOnClickOutside;
+
+
+export const useOnFocusOutside = (refs, handler, options={}) => {
+  /*
+  Allows you to detect and act in response to focus moving outside a specified
+  element, e.g. when a keyboard user tabs out of a popover. It accepts the same
+  refs and `enabled` option as useOnClickOutside.
+  */
+  useOnClickOutside(refs, handler, {...options, events: ['focusin']});
+}
+
+
+// The number of layers enabled so far. React runs the effects of children
+// before those of their parents, but renders parents first, so layers are
+// ordered by when they're first rendered enabled. A menu rendered by a modal is
+// then above the modal, even when both are mounted at once.
+let layerCount = 0;
+
+
+const useLayerOrder = (enabled) => {
+  // Returns the order of the layer, which is higher for layers above it.
+  const order = useRef(null);
+  if (!enabled) {
+    order.current = null;
+  } else if (order.current === null) {
+    order.current = ++layerCount;
+  }
+  return order.current;
+};
+
+
+const addLayer = (stack, layer) => {
+  // Adds the layer to the stack, which is kept sorted with the topmost last.
+  const index = stack.findIndex(other => other.order > layer.order);
+  stack.splice(index === -1 ? stack.length : index, 0, layer);
+};
+
+
+// Elements reachable with the Tab key, unless their tabindex is negative.
+const TABBABLE = [
+  'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable]', '[tabindex]',
+].join(',');
+
+
+const tabbableElements = (container) => {
+  return Array.from(container.querySelectorAll(TABBABLE)).filter(element => element.tabIndex >= 0);
+};
+
+
+const focusFirst = (container) => {
+  (tabbableElements(container)[0] || container).focus();
+};
+
+
+// The active focus traps, with the topmost last.
+const traps = [];
+
+
+const trapFocus = (event) => {
+  // The document listener shared by all focus traps, keeping the focus within
+  // only the topmost one, e.g. a dialog opened over another dialog.
+  const trap = traps[traps.length - 1];
+  if (!trap) {
+    return;
+  }
+  const { container } = trap;
+
+  if (event.type === 'focusin') {
+    if (!container.contains(event.target)) {
+      focusFirst(container);
+    }
+    return;
+  }
+
+  if (event.key !== 'Tab') {
+    return;
+  }
+  const elements = tabbableElements(container);
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+  const current = document.activeElement;
+  if (elements.length === 0) {
+    event.preventDefault();
+  } else if (event.shiftKey && (current === first || !elements.includes(current))) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (current === last || !elements.includes(current))) {
+    event.preventDefault();
+    first.focus();
+  }
+};
+
+
+export const useFocusTrap = (ref, options={}) => {
+  /*
+  Keeps the focus within an element while the `active` option is set, e.g. for
+  dialogs. Tab and Shift+Tab cycle through the tabbable elements within it, and
+  focus moving outside of it is moved back in. Traps are stacked like the
+  layers of useDismissableLayer, and only the topmost one keeps the focus.
+
+  On activation, the element of the `initialFocus` ref is focused, or else the
+  first tabbable element. If there are none, the container itself is focused,
+  which then needs a tabindex. On release, focus returns to the element that
+  had it before, e.g. the button opening the dialog, unless the `restoreFocus`
+  option is false.
+  */
+  const { active = true, initialFocus } = options;
+  const order = useLayerOrder(active);
+
+  // Store the options in a ref, so they are read when the trap is released,
+  // rather than when it was activated.
+  const savedOptions = useRef(options);
+  useEffect(() => {
+    savedOptions.current = options;
+  });
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) {
+      return;
+    }
+
+    const trap = {order, container, trigger: document.activeElement};
+    addLayer(traps, trap);
+    if (traps.length === 1) {
+      document.addEventListener('keydown', trapFocus);
+      document.addEventListener('focusin', trapFocus);
+    }
+
+    const above = traps[traps.indexOf(trap) + 1];
+    if (above) {
+      // A trap nested within this one was activated first, in the same commit,
+      // so it has already moved the focus. This trap returns it on release.
+      trap.trigger = above.trigger;
+      above.trigger = null;
+    } else if (initialFocus && initialFocus.current) {
+      initialFocus.current.focus();
+    } else {
+      focusFirst(container);
+    }
+
     return () => {
-      document.removeEventListener("onClick", listener, {capture: true});
+      traps.splice(traps.indexOf(trap), 1);
+      if (traps.length === 0) {
+        document.removeEventListener('keydown', trapFocus);
+        document.removeEventListener('focusin', trapFocus);
+      }
+      const { restoreFocus = true } = savedOptions.current;
+      const top = traps[traps.length - 1];
+      if (restoreFocus && trap.trigger && trap.trigger.focus && document.contains(trap.trigger)) {
+        trap.trigger.focus();
+      } else if (top && !top.container.contains(document.activeElement)) {
+        focusFirst(top.container);
+      }
+    };
+  }, [active]);
+}
+
+
+// The mounted dismissable layers, with the topmost last.
+const layers = [];
+
+
+const dismissTopmostLayer = (event) => {
+  // The single document listener shared by all dismissable layers, dismissing
+  // only the topmost one.
+  const layer = layers[layers.length - 1];
+  if (!layer) {
+    return;
+  }
+  if (event.type === 'keydown') {
+    if (event.key === 'Escape') {
+      layer.onDismiss.current(event);
+    }
+    return;
+  }
+  const elements = refElements(layer.refs.current);
+  if (elements.length > 0 && !containsEvent(elements, event)) {
+    layer.onDismiss.current(event);
+  }
+};
+
+
+export const useDismissableLayer = (refs, onDismiss, options={}) => {
+  /*
+  Calls onDismiss when the layer, e.g. a menu, dialog or tooltip, should be
+  closed: on a pointer event outside the elements of the refs, or when Escape
+  is pressed. Layers are stacked in the order they're rendered, children above
+  their parents, and only the topmost one is dismissed, so a dropdown within a
+  modal closes before the modal does.
+
+  Like useOnClickOutside, it accepts a ref or an array of refs, so content
+  rendered in a portal outside the layer's element may be included. Set the
+  `enabled` option to false to remove the layer from the stack.
+  */
+  const { enabled = true } = options;
+  const order = useLayerOrder(enabled);
+
+  // Store the refs and callback in refs, so the shared listener always sees the
+  // latest versions of them.
+  const savedRefs = useRef(refs);
+  const savedOnDismiss = useRef(onDismiss);
+  useEffect(() => {
+    savedRefs.current = refs;
+    savedOnDismiss.current = onDismiss;
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    const layer = {order, refs: savedRefs, onDismiss: savedOnDismiss};
+    addLayer(layers, layer);
+    if (layers.length === 1) {
+      document.addEventListener('pointerdown', dismissTopmostLayer, {capture: true});
+      document.addEventListener('keydown', dismissTopmostLayer);
     }
-  }, [ref]);
+
+    return () => {
+      layers.splice(layers.indexOf(layer), 1);
+      if (layers.length === 0) {
+        document.removeEventListener('pointerdown', dismissTopmostLayer, {capture: true});
+        document.removeEventListener('keydown', dismissTopmostLayer);
+      }
+    };
+  }, [enabled]);
 }
 
 
-export const useScript = (source, onLoad = () => {},  onError = () => {}) => {
+// The scripts loaded by useScript, keyed by their source, so each is only
+// loaded once however many components use it.
+const scripts = new Map();
+
+
+const removeScript = (source, entry) => {
+  // Removes the script from the registry and the document.
+  if (scripts.get(source) === entry) {
+    scripts.delete(source);
+  }
+  if (entry.script.parentNode) {
+    entry.script.parentNode.removeChild(entry.script);
+  }
+};
+
+
+const loadScript = (source, options) => {
+  /*
+  Returns the registry entry of the script, adding the script to the document
+  unless it's already loaded or loading. The listeners of the entry are called
+  with the new status and the event once it loads or fails. Failed scripts are
+  removed, so the next component using them tries again.
+  */
+  if (scripts.has(source)) {
+    return scripts.get(source);
+  }
+
+  const {
+    type, integrity, crossOrigin, nonce, referrerPolicy, defer = false, target = 'body'
+  } = options;
+  const script = document.createElement("script");
+  script.src = source;
+  // Async scripts are executed as soon as they load, even if they're deferred.
+  script.async = !defer;
+  script.defer = defer;
+  const attributes = {type, integrity, crossorigin: crossOrigin, nonce, referrerpolicy: referrerPolicy};
+  Object.keys(attributes).forEach(name => {
+    if (attributes[name]) {
+      script.setAttribute(name, attributes[name]);
+    }
+  });
+  // The number of components using the script, so it can be removed once none
+  // do.
+  const entry = {script, status: 'loading', loadEvent: null, listeners: new Set(), users: 0};
+
+  const onLoad = (event) => {
+    entry.status = 'ready';
+    // Kept for the components using the script after it has loaded.
+    entry.loadEvent = event;
+    entry.listeners.forEach(listener => listener('ready', event));
+  };
+
+  const onError = (event) => {
+    entry.status = 'error';
+    removeScript(source, entry);
+    entry.listeners.forEach(listener => listener('error', event));
+  };
+
+  script.addEventListener("load", onLoad);
+  script.addEventListener("error", onError);
+  (target === 'head' ? document.head : document.body).appendChild(script);
+  scripts.set(source, entry);
+  return entry;
+};
+
+
+export const useScript = (source, onLoad = () => {},  onError = () => {}, options={}) => {
   /*
   Allows you to dynamically load an external script and add onload callbacks.
   Useful when you want to interact with an external library and need to wait
@@ -209,6 +2138,17 @@ export const useScript = (source, onLoad = () => {},  onError = () => {}) => {
 
   The alternative is to include it in the document head for every page request,
   which would add loading time to your app.
+
+  Returns the status of the script, one of `'idle'`, `'loading'`, `'ready'` and
+  `'error'`. Components using the same script share a single script tag, and
+  those using it after it has loaded are ready right away, calling onLoad with
+  the same load event.
+
+  The `integrity`, `crossOrigin`, `nonce`, `type`, `defer` and `referrerPolicy`
+  options set the attributes of the script tag, which is appended to the body,
+  or the head if the `target` option is `'head'`. They're only used by the first
+  component adding the script. Set `removeOnUnmount` to remove the script tag
+  once no component uses it anymore.
   */
 
   // Create refs that stores the callbacks. That way if they change, (e.g.
@@ -224,36 +2164,46 @@ export const useScript = (source, onLoad = () => {},  onError = () => {}) => {
     savedOnError.current = onError;
   }, [onLoad, onError]);
 
+  const [status, setStatus] = useState(() => {
+    if (!source) {
+      return 'idle';
+    }
+    return scripts.has(source) ? scripts.get(source).status : 'loading';
+  });
 
   useEffect(() => {
       // Allows you to pass null as source, in case you want to conditionally
       // load the script.
       if (!source) {
+        setStatus('idle');
         return;
       }
 
-      const script = document.createElement("script");
-      script.src = source;
-      script.async = true;
-      document.body.appendChild(script);
+      const entry = loadScript(source, options);
+      entry.users += 1;
+      setStatus(entry.status);
 
-      const onLoad = (event) => {
+      const listener = (status, event) => {
+        setStatus(status);
         // Call the latest version of the handler, stored in the ref.
-        savedOnLoad.current(event);
+        if (status === 'ready') {
+          savedOnLoad.current(event);
+        } else {
+          savedOnError.current(event);
+        }
       }
 
-      const onError = (event) => {
-        // Call the latest version of the handler, stored in the ref.
-        savedOnError.current(event);
+      if (entry.status === 'ready') {
+        savedOnLoad.current(entry.loadEvent);
+      } else {
+        entry.listeners.add(listener);
       }
 
-      script.addEventListener("load", onLoad);
-      script.addEventListener("error", onError);
-
       return () => {
-        if (script) {
-          script.removeEventListener("load", onLoad);
-          script.removeEventListener("error", onError);
+        entry.listeners.delete(listener);
+        entry.users -= 1;
+        if (options.removeOnUnmount && entry.users === 0) {
+          removeScript(source, entry);
         }
       };
     },
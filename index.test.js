@@ -1,11 +1,19 @@
+import 'fake-indexeddb/auto';
+import React, { Suspense } from 'react';
+import { create } from 'react-test-renderer';
 import Cookies from 'js-cookie';
 
 import { renderHook, act } from '@testing-library/react-hooks'
 
 import {
   useAsync, useDelayedAsync, useStoredReducer, useStoredState,
-  useDeepCompareMemo, useDeepCompareEffect, useOnClickOutSide,
-  useScript, useCookie, useDeepCompareCallback
+  useDeepCompareMemo, useDeepCompareEffect, useOnClickOutSide, useOnClickOutside,
+  useScript, useCookie, useDeepCompareCallback, structuredSerializer,
+  createMemoryStorage, createLocalStorage, createIndexedDBStorage,
+  createAsyncCache, AsyncCacheProvider, useAsyncCache, useInfiniteAsync,
+  useAsyncResource, shallowEqual, useDeepCompareLayoutEffect,
+  useDeepCompareImperativeHandle, setDeepCompareDiagnostics, useDismissableLayer,
+  useOnFocusOutside, useFocusTrap
 } from './index.js'
 
 
@@ -99,6 +107,496 @@ test('useReducer alternative call signatures', () => {
 });
 
 
+test('useReducer syncs updates from other tabs', () => {
+  const { result } = renderHook(() => useStoredReducer(testReducer, {count: 0}, 'count_6'));
+
+  // Emulate another tab writing to the same key, which fires a storage event:
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'count_6', newValue: '{"count":5}', storageArea: window.localStorage
+    }));
+  });
+
+  // The last writer wins by default:
+  expect(result.current[0]).toStrictEqual({count: 5});
+
+  // Events for other keys should be ignored:
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'count_7', newValue: '{"count":7}', storageArea: window.localStorage
+    }));
+  });
+  expect(result.current[0]).toStrictEqual({count: 5});
+});
+
+
+test('useReducer conflict policies', () => {
+  const merge = (local, remote) => ({count: local.count + remote.count});
+  const { result: merged } = renderHook(() => useStoredReducer(
+    testReducer, {count: 1}, 'count_8', (i) => i, window.localStorage, {conflict: merge}
+  ));
+  const { result: kept } = renderHook(() => useStoredReducer(
+    testReducer, {count: 1}, 'count_9', (i) => i, window.localStorage, {conflict: 'keepLocal'}
+  ));
+
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'count_8', newValue: '{"count":5}', storageArea: window.localStorage
+    }));
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'count_9', newValue: '{"count":5}', storageArea: window.localStorage
+    }));
+  });
+
+  // The custom merge function should be used, and its result persisted:
+  expect(merged.current[0]).toStrictEqual({count: 6});
+  expect(window.localStorage.getItem('count_8')).toStrictEqual("{\"count\":6}");
+
+  // The local state should be kept:
+  expect(kept.current[0]).toStrictEqual({count: 1});
+});
+
+
+test('useReducer syncs through BroadcastChannel', () => {
+  // jsdom lacks BroadcastChannel, so we provide a minimal one connecting all
+  // channels with the same name.
+  const channels = [];
+  window.BroadcastChannel = class {
+    constructor(name) {
+      this.name = name;
+      channels.push(this);
+    }
+    postMessage(data) {
+      channels
+        .filter(channel => channel !== this && channel.name === this.name)
+        .forEach(channel => channel.onmessage({data}));
+    }
+    close() {
+      channels.splice(channels.indexOf(this), 1);
+    }
+  };
+
+  const options = {sync: 'broadcast'};
+  const { result: first } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_10', (i) => i, window.sessionStorage, options
+  ));
+  const { result: second, unmount } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_10', (i) => i, window.sessionStorage, options
+  ));
+
+  act(() => {
+    first.current[1]({type: 'increment'})
+  });
+  expect(second.current[0]).toStrictEqual({count: 1});
+
+  // The channel should be closed on unmount.
+  unmount();
+  expect(channels).toHaveLength(1);
+  delete window.BroadcastChannel;
+});
+
+
+test('useReducer with versioned storage', () => {
+  // State stored before versioning was enabled counts as version 0.
+  window.localStorage.setItem('count_11', '{"value":3}');
+
+  const migrations = {
+    0: (state) => ({count: state.value}),
+    1: (state, fromVersion) => ({count: state.count * 2}),
+  };
+  const onError = jest.fn();
+  const { result } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_11', (i) => i, window.localStorage, {version: 2, migrations, onError}
+  ));
+
+  // The stored state should be migrated through both versions:
+  expect(result.current[0]).toStrictEqual({count: 6});
+  // And stored along with the current version:
+  expect(window.localStorage.getItem('count_11')).toStrictEqual("{\"version\":2,\"state\":{\"count\":6}}");
+  expect(onError).not.toHaveBeenCalled();
+});
+
+
+test('useReducer with unmigratable storage', () => {
+  window.localStorage.setItem('count_12', '{"version":1,"state":{"value":3}}');
+  window.localStorage.setItem('count_13', '{"version":3,"state":{"count":3}}');
+
+  const onError = jest.fn();
+  const options = {version: 2, migrations: {}, onError};
+
+  // Missing migrations should fall back to the initial state:
+  const { result } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_12', (i) => i, window.localStorage, options
+  ));
+  expect(result.current[0]).toStrictEqual({count: 0});
+  expect(onError).toHaveBeenCalledTimes(1);
+
+  // And so should state stored by a newer version:
+  const { result: newer } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_13', (i) => i, window.localStorage, options
+  ));
+  expect(newer.current[0]).toStrictEqual({count: 0});
+  expect(onError).toHaveBeenCalledTimes(2);
+});
+
+
+test('structuredSerializer round-trips', () => {
+  const value = {
+    date: new Date(0),
+    map: new Map([[1, {name: 'one'}], [2, {name: 'two'}]]),
+    set: new Set(['a', 'b']),
+    bigInt: BigInt('9007199254740993'),
+    regExp: /ab+c/gi,
+    undefined: undefined,
+    nested: [undefined, new Date(1), {$type: 'Date', value: 0}],
+  };
+
+  const item = structuredSerializer.serialize(value);
+  expect(typeof item).toBe('string');
+  expect(structuredSerializer.deserialize(item)).toStrictEqual(value);
+  expect(structuredSerializer.deserialize(structuredSerializer.serialize(undefined))).toBe(undefined);
+});
+
+
+test('useStoredState with serializer', () => {
+  const options = {serializer: structuredSerializer};
+  const { result } = renderHook(() => useStoredState(new Map(), 'map_1', window.localStorage, options));
+
+  act(() => {
+    result.current[1](map => new Map(map).set(1, new Date(0)))
+  });
+
+  // Emulate refresh of the page
+  const { result: refreshed_result } = renderHook(() => useStoredState(new Map(), 'map_1', window.localStorage, options));
+
+  // The stored state should come back as a Map of Dates:
+  expect(refreshed_result.current[0]).toStrictEqual(new Map([[1, new Date(0)]]));
+});
+
+
+test('useReducer with async storage', async () => {
+  const storage = createMemoryStorage();
+  await storage.setItem('count_14', '{"count":2}');
+
+  const { result, waitForNextUpdate } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_14', (i) => i, storage
+  ));
+
+  // The initial state should be used until the stored one has been read:
+  expect(result.current[0]).toStrictEqual({count: 0});
+  expect(result.current[2].hydrated).toBe(false);
+
+  await waitForNextUpdate();
+  expect(result.current[0]).toStrictEqual({count: 2});
+  expect(result.current[2].hydrated).toBe(true);
+
+  // Dispatch an action
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(await storage.getItem('count_14')).toStrictEqual("{\"count\":3}");
+});
+
+
+test('storage adapters', async () => {
+  const adapters = [createMemoryStorage(), createLocalStorage(), createIndexedDBStorage()];
+
+  for (const storage of adapters) {
+    expect(await storage.getItem('adapter_1')).toBe(null);
+    await storage.setItem('adapter_1', 'value');
+    expect(await storage.getItem('adapter_1')).toBe('value');
+    await storage.removeItem('adapter_1');
+    expect(await storage.getItem('adapter_1')).toBe(null);
+  }
+});
+
+
+test('useReducer with IndexedDB storage', async () => {
+  const storage = createIndexedDBStorage('test');
+  const { result, waitFor } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_15', (i) => i, storage
+  ));
+  await waitFor(() => result.current[2].hydrated);
+
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  await waitFor(async () => await storage.getItem('count_15') !== null);
+
+  // Emulate refresh of the page
+  const { result: refreshed_result, waitFor: refreshedWaitFor } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_15', (i) => i, createIndexedDBStorage('test')
+  ));
+  await refreshedWaitFor(() => refreshed_result.current[2].hydrated);
+  expect(refreshed_result.current[0]).toStrictEqual({count: 1});
+});
+
+
+test('useReducer with debounced writes', () => {
+  jest.useFakeTimers();
+  const { result } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_16', (i) => i, window.localStorage, {writeStrategy: {debounce: 100}}
+  ));
+
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  act(() => {
+    jest.advanceTimersByTime(50);
+    result.current[1]({type: 'increment'})
+  });
+
+  // Nothing should be written while the state keeps changing:
+  act(() => {
+    jest.advanceTimersByTime(50);
+  });
+  expect(window.localStorage.getItem('count_16')).toBe(null);
+
+  // Only the last state should be written, once the state settles:
+  act(() => {
+    jest.advanceTimersByTime(100);
+  });
+  expect(window.localStorage.getItem('count_16')).toStrictEqual("{\"count\":2}");
+  jest.useRealTimers();
+});
+
+
+test('useReducer flushes pending writes', () => {
+  const { result, unmount } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_17', (i) => i, window.localStorage, {writeStrategy: 'pagehide'}
+  ));
+
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(window.localStorage.getItem('count_17')).toBe(null);
+
+  // Pending writes should be flushed when the page is hidden:
+  act(() => {
+    window.dispatchEvent(new Event('pagehide'));
+  });
+  expect(window.localStorage.getItem('count_17')).toStrictEqual("{\"count\":1}");
+
+  // And on unmount:
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(window.localStorage.getItem('count_17')).toStrictEqual("{\"count\":1}");
+  unmount();
+  expect(window.localStorage.getItem('count_17')).toStrictEqual("{\"count\":2}");
+});
+
+
+test('useReducer with expiring storage', () => {
+  const now = Date.now();
+  window.localStorage.setItem('count_18', `{"savedAt":${now - 2000},"state":{"count":4}}`);
+  window.localStorage.setItem('count_19', `{"savedAt":${now - 500},"state":{"count":4}}`);
+
+  const options = {ttl: 1000};
+
+  // Expired state should be treated as absent:
+  const { result: expired } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_18', (i) => i, window.localStorage, options
+  ));
+  expect(expired.current[0]).toStrictEqual({count: 0});
+  expect(JSON.parse(window.localStorage.getItem('count_18')).savedAt).toBeGreaterThanOrEqual(now);
+
+  // While state that has not yet expired should be used:
+  const { result } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_19', (i) => i, window.localStorage, options
+  ));
+  expect(result.current[0]).toStrictEqual({count: 4});
+});
+
+
+test('useReducer reset', () => {
+  const { result } = renderHook(() => useStoredReducer(testReducer, {count: 0}, 'count_20'));
+
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(window.localStorage.getItem('count_20')).toStrictEqual("{\"count\":1}");
+
+  // Reset should restore the initial state and remove the key:
+  act(() => {
+    result.current[2].reset()
+  });
+  expect(result.current[0]).toStrictEqual({count: 0});
+  expect(window.localStorage.getItem('count_20')).toBe(null);
+
+  // Until the state changes again:
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(window.localStorage.getItem('count_20')).toStrictEqual("{\"count\":1}");
+
+  // Removing the key in another tab should reset the state as well:
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'count_20', newValue: null, storageArea: window.localStorage
+    }));
+  });
+  expect(result.current[0]).toStrictEqual({count: 0});
+});
+
+
+test('useStoredState writes the initial value after reset', () => {
+  const { result } = renderHook(() => useStoredState(0, 'count_reset'));
+
+  act(() => {
+    result.current[1](3)
+  });
+  act(() => {
+    result.current[2].reset()
+  });
+  expect(window.localStorage.getItem('count_reset')).toBe(null);
+
+  act(() => {
+    result.current[1](5)
+  });
+  expect(window.localStorage.getItem('count_reset')).toBe('5');
+
+  // Changing back to the initial value should be written as well:
+  act(() => {
+    result.current[1](0)
+  });
+  expect(result.current[0]).toBe(0);
+  expect(window.localStorage.getItem('count_reset')).toBe('0');
+});
+
+
+test('useReducer with full storage', () => {
+  const storage = {
+    getItem: () => null,
+    setItem: jest.fn(() => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    }),
+    removeItem: () => {},
+  };
+  const onStorageError = jest.fn();
+
+  const { result } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_21', (i) => i, storage, {onStorageError}
+  ));
+
+  // The hook should fall back to memory, and report the error:
+  expect(result.current[2].status).toBe('memoryOnly');
+  expect(onStorageError).toHaveBeenCalledTimes(1);
+  expect(onStorageError.mock.calls[0][0].name).toBe('QuotaExceededError');
+
+  // And not keep trying to write to the storage:
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(result.current[0]).toStrictEqual({count: 1});
+  expect(result.current[2].status).toBe('memoryOnly');
+  expect(storage.setItem).toHaveBeenCalledTimes(1);
+});
+
+
+test('useReducer with full storage and changing key', () => {
+  const storage = {
+    getItem: () => null,
+    setItem: () => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    },
+    removeItem: () => {},
+  };
+
+  let key = 'count_a';
+  const { result, rerender } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, key, (i) => i, storage, {onStorageError: () => {}}
+  ));
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+
+  // The state kept in memory should be loaded when switching back:
+  key = 'count_b';
+  rerender();
+  expect(result.current[0]).toStrictEqual({count: 0});
+  key = 'count_a';
+  rerender();
+  expect(result.current[0]).toStrictEqual({count: 2});
+  expect(result.current[2].status).toBe('memoryOnly');
+});
+
+
+test('useReducer with unavailable storage', async () => {
+  const storage = createMemoryStorage();
+  storage.setItem = () => Promise.reject(new Error('Unavailable'));
+  const onStorageError = jest.fn();
+
+  const { result, waitFor } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, 'count_22', (i) => i, storage, {onStorageError}
+  ));
+  await waitFor(() => result.current[2].status === 'memoryOnly');
+  expect(onStorageError).toHaveBeenCalledTimes(1);
+});
+
+
+test('useStoredState with unserializable state', () => {
+  const onError = jest.fn();
+  const { result } = renderHook(() => useStoredState(0, 'count_23', window.localStorage, {onError}));
+  expect(result.current[2].status).toBe('persisted');
+
+  act(() => {
+    result.current[1](BigInt(1))
+  });
+  expect(result.current[2].status).toBe('error');
+  expect(onError).toHaveBeenCalledTimes(1);
+});
+
+
+test('useReducer with changing key', () => {
+  window.localStorage.setItem('doc_1', '{"count":5}');
+
+  let key = 'doc_1';
+  const { result, rerender } = renderHook(() => useStoredReducer(testReducer, {count: 0}, key));
+  expect(result.current[0]).toStrictEqual({count: 5});
+
+  // Switching to a new key should initialize the state:
+  key = 'doc_2';
+  rerender();
+  expect(result.current[0]).toStrictEqual({count: 0});
+  expect(window.localStorage.getItem('doc_1')).toStrictEqual("{\"count\":5}");
+  expect(window.localStorage.getItem('doc_2')).toStrictEqual("{\"count\":0}");
+
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+  expect(window.localStorage.getItem('doc_2')).toStrictEqual("{\"count\":1}");
+
+  // And switching back should load the previously stored state:
+  key = 'doc_1';
+  rerender();
+  expect(result.current[0]).toStrictEqual({count: 5});
+  expect(window.localStorage.getItem('doc_2')).toStrictEqual("{\"count\":1}");
+});
+
+
+test('useReducer with changing key and pending writes', () => {
+  let key = 'doc_3';
+  const { result, rerender } = renderHook(() => useStoredReducer(
+    testReducer, {count: 0}, key, (i) => i, window.localStorage, {writeStrategy: 'pagehide'}
+  ));
+
+  act(() => {
+    result.current[1]({type: 'increment'})
+  });
+
+  // The pending write should go to the previous key, not the new one:
+  key = 'doc_4';
+  rerender();
+  expect(result.current[0]).toStrictEqual({count: 0});
+  expect(window.localStorage.getItem('doc_3')).toStrictEqual("{\"count\":1}");
+  expect(window.localStorage.getItem('doc_4')).toBe(null);
+});
+
+
 test('useStoredState signatures', () => {
   const { result } = renderHook(() => useStoredState(0, 'count_4', ));
 
@@ -159,76 +657,759 @@ test('useDelayedAsync resolves correctly', async () => {
   expect(result.current.result).toBe('Ok!');
   expect(result.current.error).toBe(null);
   expect(result.current.loading).toBe(false);
+  expect(result.current.status).toBe('success');
+});
+
+
+test('useDelayedAsync with error', async () => {
+  const asyncReject = async () => Promise.reject('No!');
+
+  const { result, waitForNextUpdate } = renderHook(() => useDelayedAsync(asyncReject));
+
+  // Check the initial values:
+  expect(result.current.result).toBe(null);
+  expect(result.current.error).toBe(null);
+  expect(result.current.loading).toBe(false);
+
+  // Start execution:
+  // Wrapping execute in act() is not necesarry since it's async, according to the documentation:
+  // https://react-hooks-testing-library.com/usage/advanced-hooks#async still raises a warning, though.
+  // The promise returned by execute should reject with the error:
+  const promise = expect(result.current.execute()).rejects.toBe('No!');
+
+  // Check the values
+  expect(result.current.result).toBe(null);
+  expect(result.current.error).toBe(null);
+  expect(result.current.loading).toBe(true);
+  expect(result.current.status).toBe('pending');
+
+  // Wait for asyncReject to reject:
+  await waitForNextUpdate();
+
+  // Check the values once again:
+  expect(result.current.result).toBe(null);
+  expect(result.current.error).toBe('No!');
+  expect(result.current.loading).toBe(false);
+  expect(result.current.status).toBe('error');
+  await promise;
+});
+
+
+test('useDelayedAsync ignores stale results', async () => {
+  // Resolve each call manually, to control the order they finish in.
+  const calls = [];
+  const asyncFunction = (signal) => new Promise(resolve => calls.push({signal, resolve}));
+
+  const { result } = renderHook(() => useDelayedAsync(asyncFunction));
+
+  let first, second;
+  act(() => {
+    first = result.current.execute();
+  });
+  act(() => {
+    second = result.current.execute();
+  });
+
+  // Starting the second call should abort the first:
+  expect(calls[0].signal.aborted).toBe(true);
+  expect(calls[1].signal.aborted).toBe(false);
+
+  // So the first result should be ignored, even when it arrives last:
+  await act(async () => {
+    calls[1].resolve('second');
+    await expect(second).resolves.toBe('second');
+    calls[0].resolve('first');
+    await expect(first).resolves.toBe(undefined);
+  });
+  expect(result.current.result).toBe('second');
+  expect(result.current.loading).toBe(false);
+});
+
+
+test('useDelayedAsync passes arguments', async () => {
+  const asyncFunction = jest.fn(async (a, b) => a + b);
+  const { result } = renderHook(() => useDelayedAsync(asyncFunction));
+  expect(result.current.status).toBe('idle');
+
+  let sum;
+  await act(async () => {
+    sum = await result.current.execute(1, 2);
+  });
+
+  // The arguments should be passed on, followed by the signal:
+  expect(asyncFunction).toHaveBeenCalledWith(1, 2, expect.any(AbortSignal));
+  expect(sum).toBe(3);
+  expect(result.current.result).toBe(3);
+  expect(result.current.status).toBe('success');
+});
+
+
+test('useDelayedAsync abort', async () => {
+  const signals = [];
+  const asyncFunction = (signal) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  };
+
+  const { result, unmount } = renderHook(() => useDelayedAsync(asyncFunction));
+
+  act(() => {
+    result.current.execute();
+  });
+  expect(result.current.loading).toBe(true);
+
+  // Aborting should stop loading:
+  act(() => {
+    result.current.abort();
+  });
+  expect(signals[0].aborted).toBe(true);
+  expect(result.current.loading).toBe(false);
+
+  // And so should unmounting:
+  act(() => {
+    result.current.execute();
+  });
+  unmount();
+  expect(signals[1].aborted).toBe(true);
+});
+
+
+test('useDelayedAsync retries', async () => {
+  let failures = 2;
+  const asyncFunction = jest.fn(async () => {
+    if (failures-- > 0) {
+      throw 'No!';
+    }
+    return 'Ok!';
+  });
+
+  const { result, waitFor } = renderHook(() => useDelayedAsync(asyncFunction, {retry: 3, retryDelay: 10}));
+
+  let promise;
+  act(() => {
+    promise = result.current.execute();
+  });
+  expect(result.current.attempt).toBe(1);
+
+  // The next retry should be scheduled after the first failure:
+  await waitFor(() => result.current.nextRetryAt !== null);
+  expect(result.current.nextRetryAt).toBeLessThanOrEqual(Date.now() + 10);
+  expect(result.current.loading).toBe(true);
+
+  await act(async () => {
+    await expect(promise).resolves.toBe('Ok!');
+  });
+  expect(asyncFunction).toHaveBeenCalledTimes(3);
+  expect(result.current.attempt).toBe(3);
+  expect(result.current.nextRetryAt).toBe(null);
+  expect(result.current.result).toBe('Ok!');
+});
+
+
+test('useDelayedAsync stops retrying', async () => {
+  const asyncFunction = jest.fn(async () => {
+    throw new Error('No!');
+  });
+  const retry = jest.fn((failureCount, error) => failureCount < 2);
+
+  const { result, waitFor } = renderHook(() => useDelayedAsync(asyncFunction, {retry, retryDelay: 50}));
+
+  // It should give up once the predicate says so:
+  await act(async () => {
+    await expect(result.current.execute()).rejects.toThrow('No!');
+  });
+  expect(asyncFunction).toHaveBeenCalledTimes(2);
+  expect(retry).toHaveBeenLastCalledWith(2, new Error('No!'));
+  expect(result.current.status).toBe('error');
+
+  // Retrying manually should start over:
+  let promise;
+  act(() => {
+    promise = result.current.retry();
+  });
+  expect(result.current.attempt).toBe(1);
+
+  // And aborting should stop the retries:
+  await waitFor(() => result.current.nextRetryAt !== null);
+  act(() => {
+    result.current.abort();
+  });
+  await expect(promise).resolves.toBe(undefined);
+  expect(asyncFunction).toHaveBeenCalledTimes(3);
+});
+
+
+test('useDelayedAsync optimistic updates', async () => {
+  let fail = false;
+  const like = async (liked) => {
+    if (fail) {
+      throw 'No!';
+    }
+    return {liked};
+  };
+  const onMutate = jest.fn((args, result) => ({liked: args[0]}));
+  const onSuccess = jest.fn();
+  const onError = jest.fn();
+
+  const { result } = renderHook(() => useDelayedAsync(like, {onMutate, onSuccess, onError}));
+
+  // The optimistic result should be shown while loading:
+  let promise;
+  act(() => {
+    promise = result.current.execute(true);
+  });
+  expect(result.current.result).toStrictEqual({liked: true});
+  expect(onMutate).toHaveBeenCalledWith([true], null);
+
+  await act(async () => {
+    await promise;
+  });
+  expect(result.current.result).toStrictEqual({liked: true});
+  expect(onSuccess).toHaveBeenCalledWith(
+    {liked: true}, [true], {previousResult: null, optimisticResult: {liked: true}}
+  );
+
+  // And reverted on failure:
+  fail = true;
+  act(() => {
+    promise = result.current.execute(false).catch(() => {});
+  });
+  expect(result.current.result).toStrictEqual({liked: false});
+
+  await act(async () => {
+    await promise;
+  });
+  expect(result.current.result).toStrictEqual({liked: true});
+  expect(result.current.error).toBe('No!');
+  expect(onError).toHaveBeenCalledWith(
+    'No!', [false], {previousResult: {liked: true}, optimisticResult: {liked: false}}
+  );
+});
+
+
+test('useDelayedAsync with failing onMutate', async () => {
+  const asyncFunction = jest.fn(async (value) => value);
+  const onError = jest.fn();
+  const onMutate = () => {
+    throw new Error('No!');
+  };
+  const { result } = renderHook(() => useDelayedAsync(asyncFunction, {onMutate, onError}));
+
+  // The execution should fail like a rejected call:
+  await act(async () => {
+    await expect(result.current.execute('value')).rejects.toThrow('No!');
+  });
+  expect(asyncFunction).not.toHaveBeenCalled();
+  expect(result.current.status).toBe('error');
+  expect(result.current.loading).toBe(false);
+  expect(result.current.error).toStrictEqual(new Error('No!'));
+  expect(onError).toHaveBeenCalledWith(new Error('No!'), ['value'], {previousResult: null});
+});
+
+
+test('useDelayedAsync keeps previous result', async () => {
+  const asyncFunction = async (value) => value;
+  const { result } = renderHook(() => useDelayedAsync(asyncFunction, {keepPreviousResult: true}));
+
+  await act(async () => {
+    await result.current.execute('first');
+  });
+
+  let promise;
+  act(() => {
+    promise = result.current.execute('second');
+  });
+  expect(result.current.result).toBe('first');
+  expect(result.current.loading).toBe(true);
+
+  await act(async () => {
+    await promise;
+  });
+  expect(result.current.result).toBe('second');
+});
+
+
+test('useAsync resolves correctly', async () => {
+  const asyncResolve = async () => Promise.resolve('Ok!');
+
+  const { result, waitForNextUpdate } = renderHook(() => useAsync(asyncResolve));
+
+  // Check the initial values:
+  expect(result.current.result).toBe(null);
+  expect(result.current.error).toBe(null);
+  expect(result.current.loading).toBe(true);
+
+  // Wait for asyncResolve to resolve:
+  await waitForNextUpdate();
+
+  // Check the values once again:
+  expect(result.current.result).toBe('Ok!');
+  expect(result.current.error).toBe(null);
+  expect(result.current.loading).toBe(false);
+});
+
+
+test('useAsync with error', async () => {
+  const asyncReject = async () => Promise.reject('No!');
+
+  const { result, waitForNextUpdate } = renderHook(() => useAsync(asyncReject));
+
+  // Check the initial values:
+  expect(result.current.result).toBe(null);
+  expect(result.current.error).toBe(null);
+  expect(result.current.loading).toBe(true);
+
+  // Wait for asyncReject to reject:
+  await waitForNextUpdate();
+
+  // Check the values once again:
+  expect(result.current.result).toBe(null);
+  expect(result.current.error).toBe('No!');
+  expect(result.current.loading).toBe(false);
+});
+
+
+test('useAsync with dependencies', async () => {
+  const asyncFunction = jest.fn(async (signal) => 'Ok!');
+
+  let userId = 1;
+  let enabled = false;
+  const { result, rerender, waitForNextUpdate } = renderHook(
+    () => useAsync(() => asyncFunction(userId), [{userId}], {enabled})
+  );
+
+  // Nothing should be executed while disabled:
+  expect(asyncFunction).not.toHaveBeenCalled();
+  expect(result.current.loading).toBe(false);
+
+  enabled = true;
+  rerender();
+  await waitForNextUpdate();
+  expect(asyncFunction).toHaveBeenCalledTimes(1);
+  expect(asyncFunction).toHaveBeenLastCalledWith(1);
+
+  // Dependencies equal to the previous ones should not cause an execution:
+  rerender();
+  expect(asyncFunction).toHaveBeenCalledTimes(1);
+
+  // But changed ones should:
+  userId = 2;
+  rerender();
+  await waitForNextUpdate();
+  expect(asyncFunction).toHaveBeenCalledTimes(2);
+  expect(asyncFunction).toHaveBeenLastCalledWith(2);
+});
+
+
+test('useAsync discards stale results', async () => {
+  const resolvers = {};
+  const asyncFunction = (id) => new Promise(resolve => {
+    resolvers[id] = resolve;
+  });
+
+  let id = 'first';
+  const { result, rerender } = renderHook(() => useAsync(() => asyncFunction(id), [id]));
+
+  id = 'second';
+  rerender();
+
+  await act(async () => {
+    resolvers.second('second');
+    resolvers.first('first');
+  });
+  expect(result.current.result).toBe('second');
+});
+
+
+test('useAsync with key dedupes requests', async () => {
+  const cache = createAsyncCache();
+  const wrapper = ({ children }) => <AsyncCacheProvider cache={cache}>{children}</AsyncCacheProvider>;
+  const asyncFunction = jest.fn(async () => 'Ok!');
+
+  const { result, waitForNextUpdate } = renderHook(() => [
+    useAsync(['user', 1], asyncFunction),
+    useAsync(['user', 1], asyncFunction),
+  ], { wrapper });
+
+  expect(result.current[0].loading).toBe(true);
+  await waitForNextUpdate();
+
+  // Both hooks should share the result of a single call:
+  expect(asyncFunction).toHaveBeenCalledTimes(1);
+  expect(result.current[0].result).toBe('Ok!');
+  expect(result.current[1].result).toBe('Ok!');
+  expect(result.current[1].status).toBe('success');
+});
+
+
+test('useAsync with key serves stale data while revalidating', async () => {
+  const cache = createAsyncCache();
+  const wrapper = ({ children }) => <AsyncCacheProvider cache={cache}>{children}</AsyncCacheProvider>;
+  cache.setData('user', 'cached');
+
+  let response = 'fresh';
+  const asyncFunction = jest.fn(async () => response);
+
+  // Fresh data should not be refetched:
+  const { result: fresh } = renderHook(() => useAsync('user', asyncFunction, {staleTime: 1000}), { wrapper });
+  expect(fresh.current.result).toBe('cached');
+  expect(asyncFunction).not.toHaveBeenCalled();
+
+  // But stale data should, while being served:
+  const { result, waitForNextUpdate } = renderHook(() => useAsync('user', asyncFunction), { wrapper });
+  expect(result.current.result).toBe('cached');
+  expect(result.current.loading).toBe(false);
+  expect(result.current.validating).toBe(true);
+  await waitForNextUpdate();
+  expect(result.current.result).toBe('fresh');
+  expect(fresh.current.result).toBe('fresh');
+
+  // Invalidating should refetch, and setting data should update every hook:
+  response = 'invalidated';
+  await act(async () => {
+    await cache.invalidate('user');
+  });
+  expect(result.current.result).toBe('invalidated');
+  expect(asyncFunction).toHaveBeenCalledTimes(2);
+
+  const { result: cacheResult } = renderHook(() => useAsyncCache(), { wrapper });
+  act(() => {
+    cacheResult.current.setData('user', (user) => user + '!');
+  });
+  expect(result.current.result).toBe('invalidated!');
+});
+
+
+test('useAsync with key removes unused data', () => {
+  jest.useFakeTimers();
+  const cache = createAsyncCache();
+  const wrapper = ({ children }) => <AsyncCacheProvider cache={cache}>{children}</AsyncCacheProvider>;
+  cache.setData('user', 'cached');
+
+  const { unmount } = renderHook(() => useAsync('user', async () => 'Ok!', {cacheTime: 1000}), { wrapper });
+  unmount();
+
+  jest.advanceTimersByTime(999);
+  expect(cache.get('user')).not.toBe(undefined);
+  jest.advanceTimersByTime(1);
+  expect(cache.get('user')).toBe(undefined);
+  jest.useRealTimers();
+});
+
+
+test('useAsync with key retries', async () => {
+  let failures = 2;
+  const asyncFunction = jest.fn(async () => {
+    if (failures-- > 0) {
+      throw 'No!';
+    }
+    return 'Ok!';
+  });
+  const cache = createAsyncCache();
+  const wrapper = ({ children }) => <AsyncCacheProvider cache={cache}>{children}</AsyncCacheProvider>;
+
+  const { result, waitFor } = renderHook(
+    () => useAsync('retried', asyncFunction, {retry: 3, retryDelay: 10}), { wrapper }
+  );
+  expect(result.current.attempt).toBe(1);
+
+  await waitFor(() => result.current.nextRetryAt !== null);
+  expect(result.current.loading).toBe(true);
+
+  await waitFor(() => result.current.status === 'success');
+  expect(asyncFunction).toHaveBeenCalledTimes(3);
+  expect(result.current.attempt).toBe(3);
+  expect(result.current.nextRetryAt).toBe(null);
+  expect(result.current.result).toBe('Ok!');
+
+  // Retrying manually should fetch the key again:
+  await act(() => result.current.retry());
+  expect(asyncFunction).toHaveBeenCalledTimes(4);
+});
+
+
+test('useAsync with key stops retrying on unmount', async () => {
+  const asyncFunction = jest.fn(async () => {
+    throw 'No!';
+  });
+  const cache = createAsyncCache();
+  const wrapper = ({ children }) => <AsyncCacheProvider cache={cache}>{children}</AsyncCacheProvider>;
+
+  const { result, waitFor, unmount } = renderHook(
+    () => useAsync('abandoned', asyncFunction, {retry: 3, retryDelay: 20}), { wrapper }
+  );
+  await waitFor(() => result.current.nextRetryAt !== null);
+
+  // Unmounting during the backoff should give up on the fetch:
+  unmount();
+  await new Promise(resolve => setTimeout(resolve, 100));
+  expect(asyncFunction).toHaveBeenCalledTimes(1);
+  expect(cache.get('abandoned').error).toBe('No!');
+  expect(cache.get('abandoned').fetching).toBe(false);
+});
+
+
+test('useAsync polling', async () => {
+  let calls = 0;
+  const asyncFunction = jest.fn(async () => ++calls);
+
+  const results = [];
+  const { result, waitFor, unmount } = renderHook(() => {
+    const state = useAsync(asyncFunction, [], {refetchInterval: 10});
+    results.push(state.result);
+    return state;
+  });
+
+  // It should keep refetching:
+  await waitFor(() => result.current.result === 3);
+
+  // Without clearing the previous result in between:
+  expect(results.slice(results.indexOf(1))).not.toContain(null);
+
+  // But pause while the document is hidden:
+  Object.defineProperty(document, 'visibilityState', {value: 'hidden', configurable: true});
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  const paused = asyncFunction.mock.calls.length;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  expect(asyncFunction).toHaveBeenCalledTimes(paused);
+
+  // And resume once it's visible again:
+  Object.defineProperty(document, 'visibilityState', {value: 'visible', configurable: true});
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  await waitFor(() => result.current.result > paused);
+  unmount();
+});
+
+
+test('useAsync refetches on focus and reconnect', async () => {
+  const asyncFunction = jest.fn(async () => 'Ok!');
+  const options = {refetchOnWindowFocus: true, refetchOnReconnect: true};
+  const cache = createAsyncCache();
+  const wrapper = ({ children }) => <AsyncCacheProvider cache={cache}>{children}</AsyncCacheProvider>;
+
+  const { waitForNextUpdate } = renderHook(() => useAsync('focus', asyncFunction, options), { wrapper });
+  await waitForNextUpdate();
+  expect(asyncFunction).toHaveBeenCalledTimes(1);
+
+  act(() => {
+    window.dispatchEvent(new Event('focus'));
+  });
+  await waitForNextUpdate();
+  expect(asyncFunction).toHaveBeenCalledTimes(2);
+
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+  await waitForNextUpdate();
+  expect(asyncFunction).toHaveBeenCalledTimes(3);
 });
 
 
-test('useDelayedAsync with error', async () => {
-  const asyncReject = async () => Promise.reject('No!');
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {error: null};
+  }
 
-  const { result, waitForNextUpdate } = renderHook(() => useDelayedAsync(asyncReject));
+  static getDerivedStateFromError(error) {
+    return {error};
+  }
 
-  // Check the initial values:
-  expect(result.current.result).toBe(null);
-  expect(result.current.error).toBe(null);
-  expect(result.current.loading).toBe(false);
+  render() {
+    return this.state.error ? `Error: ${this.state.error}` : this.props.children;
+  }
+}
 
-  // Start execution:
-  // Wrapping execute in act() is not necesarry since it's async, according to the documentation:
-  // https://react-hooks-testing-library.com/usage/advanced-hooks#async still raises a warning, though.
-  result.current.execute();
 
-  // Check the values
-  expect(result.current.result).toBe(null);
-  expect(result.current.error).toBe(null);
-  expect(result.current.loading).toBe(true);
+test('useAsync with suspense', async () => {
+  const asyncFunction = jest.fn(async () => 'Ok!');
+  const cache = createAsyncCache();
+  const Component = () => {
+    const { result } = useAsync('suspense', asyncFunction, {suspense: true});
+    return result;
+  };
 
-  // Wait for asyncReject to reject:
-  await waitForNextUpdate();
+  let renderer;
+  act(() => {
+    renderer = create(
+      <AsyncCacheProvider cache={cache}>
+        <Suspense fallback="Loading...">
+          <Component />
+        </Suspense>
+      </AsyncCacheProvider>
+    );
+  });
+  expect(renderer.toJSON()).toBe('Loading...');
 
-  // Check the values once again:
-  expect(result.current.result).toBe(null);
-  expect(result.current.error).toBe('No!');
-  expect(result.current.loading).toBe(false);
+  // React retries rendering the suspended component in a later task.
+  await act(async () => {
+    await cache.fetch('suspense', asyncFunction);
+    await new Promise(resolve => setTimeout(resolve));
+  });
+  expect(renderer.toJSON()).toBe('Ok!');
+
+  // Re-rendering should not refetch:
+  act(() => {
+    renderer.update(
+      <AsyncCacheProvider cache={cache}>
+        <Suspense fallback="Loading...">
+          <Component />
+        </Suspense>
+      </AsyncCacheProvider>
+    );
+  });
+  expect(renderer.toJSON()).toBe('Ok!');
+  expect(asyncFunction).toHaveBeenCalledTimes(1);
+
+  // But the data is stale, so another component mounting should refetch it:
+  await act(async () => {
+    create(
+      <AsyncCacheProvider cache={cache}>
+        <Suspense fallback="Loading...">
+          <Component />
+        </Suspense>
+      </AsyncCacheProvider>
+    );
+  });
+  expect(asyncFunction).toHaveBeenCalledTimes(2);
 });
 
 
-test('useAsync resolves correctly', async () => {
-  const asyncResolve = async () => Promise.resolve('Ok!');
+test('useAsync warns about suspense without key', async () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const { waitForNextUpdate } = renderHook(() => useAsync(async () => 'Ok!', [], {suspense: true}));
+  await waitForNextUpdate();
+  expect(warn).toHaveBeenCalledTimes(1);
+  expect(warn).toHaveBeenCalledWith(expect.stringContaining('ignores the suspense option'));
+  warn.mockRestore();
+});
 
-  const { result, waitForNextUpdate } = renderHook(() => useAsync(asyncResolve));
 
-  // Check the initial values:
-  expect(result.current.result).toBe(null);
-  expect(result.current.error).toBe(null);
-  expect(result.current.loading).toBe(true);
+test('useAsyncResource with error boundary', async () => {
+  // React logs the errors caught by error boundaries.
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  let fail = true;
+  const asyncFunction = jest.fn(async () => {
+    if (fail) {
+      throw 'No!';
+    }
+    return 'Ok!';
+  });
+  const cache = createAsyncCache();
+  const Component = () => useAsyncResource(['resource', 1], asyncFunction);
+  const tree = (
+    <AsyncCacheProvider cache={cache}>
+      <ErrorBoundary>
+        <Suspense fallback="Loading...">
+          <Component />
+        </Suspense>
+      </ErrorBoundary>
+    </AsyncCacheProvider>
+  );
+
+  let renderer;
+  act(() => {
+    renderer = create(tree);
+  });
+  expect(renderer.toJSON()).toBe('Loading...');
 
-  // Wait for asyncResolve to resolve:
-  await waitForNextUpdate();
+  await act(async () => {
+    await cache.fetch(['resource', 1], asyncFunction).catch(() => {});
+    await new Promise(resolve => setTimeout(resolve));
+  });
+  expect(renderer.toJSON()).toBe('Error: No!');
 
-  // Check the values once again:
-  expect(result.current.result).toBe('Ok!');
-  expect(result.current.error).toBe(null);
-  expect(result.current.loading).toBe(false);
+  // Resetting the key should fetch it again:
+  fail = false;
+  cache.reset(['resource', 1]);
+  act(() => {
+    renderer = create(tree);
+  });
+  expect(renderer.toJSON()).toBe('Loading...');
+  await act(async () => {
+    await cache.fetch(['resource', 1], asyncFunction);
+    await new Promise(resolve => setTimeout(resolve));
+  });
+  expect(renderer.toJSON()).toBe('Ok!');
+  expect(asyncFunction).toHaveBeenCalledTimes(2);
+  consoleError.mockRestore();
 });
 
 
-test('useAsync with error', async () => {
-  const asyncReject = async () => Promise.reject('No!');
-
-  const { result, waitForNextUpdate } = renderHook(() => useAsync(asyncReject));
+test('useInfiniteAsync loads pages', async () => {
+  const fetchPage = jest.fn(async (page) => ({items: [page * 2, page * 2 + 1], next: page < 2 ? page + 1 : null}));
+  const getNextPageParam = (lastPage) => lastPage.next;
 
-  // Check the initial values:
-  expect(result.current.result).toBe(null);
-  expect(result.current.error).toBe(null);
+  const { result, waitForNextUpdate } = renderHook(() => useInfiniteAsync(fetchPage, getNextPageParam));
   expect(result.current.loading).toBe(true);
+  expect(result.current.isFetchingNextPage).toBe(false);
+  await waitForNextUpdate();
+  expect(result.current.pages).toStrictEqual([{items: [0, 1], next: 1}]);
+  expect(result.current.hasNextPage).toBe(true);
 
-  // Wait for asyncReject to reject:
+  // Fetching while a page is pending should not fetch it twice:
+  let first, second;
+  act(() => {
+    first = result.current.fetchNextPage();
+    second = result.current.fetchNextPage();
+  });
+  expect(first).toBe(second);
+  expect(result.current.isFetchingNextPage).toBe(true);
+  await act(() => first);
+  expect(fetchPage).toHaveBeenCalledTimes(2);
+
+  await act(() => result.current.fetchNextPage());
+  expect(result.current.pages.map(page => page.items)).toStrictEqual([[0, 1], [2, 3], [4, 5]]);
+  expect(result.current.hasNextPage).toBe(false);
+  expect(result.current.isFetchingNextPage).toBe(false);
+
+  // Refetching should reset the pages:
+  let promise;
+  act(() => {
+    promise = result.current.refetch();
+  });
+  expect(result.current.pages).toStrictEqual([]);
+  await act(() => promise);
+  expect(result.current.pages).toStrictEqual([{items: [0, 1], next: 1}]);
+  expect(fetchPage).toHaveBeenLastCalledWith(0, expect.any(AbortSignal));
+});
+
+
+test('useInfiniteAsync errors and cancellation', async () => {
+  let fail = false;
+  const fetchPage = async (page) => {
+    if (fail) {
+      throw 'No!';
+    }
+    return page;
+  };
+  const getNextPageParam = (lastPage) => lastPage + 1;
+
+  const { result, waitForNextUpdate } = renderHook(() => useInfiniteAsync(fetchPage, getNextPageParam));
   await waitForNextUpdate();
 
-  // Check the values once again:
-  expect(result.current.result).toBe(null);
+  // A failed page should keep the loaded pages:
+  fail = true;
+  await act(() => result.current.fetchNextPage().catch(() => {}));
   expect(result.current.error).toBe('No!');
-  expect(result.current.loading).toBe(false);
+  expect(result.current.status).toBe('error');
+  expect(result.current.pages).toStrictEqual([0]);
+
+  // And refetching should abort a pending page:
+  fail = false;
+  let next, refetch;
+  act(() => {
+    next = result.current.fetchNextPage();
+    refetch = result.current.refetch();
+  });
+  await expect(next).resolves.toBe(undefined);
+  await act(() => refetch);
+  expect(result.current.pages).toStrictEqual([0]);
+  expect(result.current.error).toBe(null);
 });
 
 
@@ -257,6 +1438,55 @@ test('useDeepCompareMemo with object', () => {
 });
 
 
+test('useDeepCompareMemo with comparator', () => {
+  const func = jest.fn()
+
+  const items = [1, 2, 3]
+  let dependencies = {items}
+  const { rerender } = renderHook(() => useDeepCompareMemo(func, [dependencies], shallowEqual));
+  expect(func).toHaveBeenCalledTimes(1);
+
+  // Should not be called when the properties are the same objects.
+  dependencies = {items}
+  rerender();
+  expect(func).toHaveBeenCalledTimes(1);
+
+  // Should be called when a property is a new object, even if deeply equal.
+  dependencies = {items: [1, 2, 3]}
+  rerender();
+  expect(func).toHaveBeenCalledTimes(2);
+});
+
+
+test('useDeepCompareMemo with maxSize', () => {
+  const func = jest.fn(() => ({...dependencies}))
+
+  let dependencies = {a: 'b'}
+  const { result, rerender } = renderHook(() => useDeepCompareMemo(func, [dependencies], undefined, 2));
+  const first = result.current
+
+  dependencies = {a: 'c'}
+  rerender();
+  expect(func).toHaveBeenCalledTimes(2);
+
+  // Should return the cached value when switching back.
+  dependencies = {a: 'b'}
+  rerender();
+  expect(func).toHaveBeenCalledTimes(2);
+  expect(result.current).toBe(first);
+
+  // Should evict the least recently used value.
+  dependencies = {a: 'd'}
+  rerender();
+  dependencies = {a: 'c'}
+  rerender();
+  expect(func).toHaveBeenCalledTimes(4);
+  dependencies = {a: 'b'}
+  rerender();
+  expect(func).toHaveBeenCalledTimes(5);
+});
+
+
 test('useDeepCompareEffect with object', () => {
   const callback = jest.fn()
 
@@ -301,6 +1531,46 @@ test('useDeepCompareEffect cleanup', () => {
 });
 
 
+test('useDeepCompareLayoutEffect with object', () => {
+  const callback = jest.fn()
+
+  let dependencies = {a: 'b'}
+  const { rerender } = renderHook(() => useDeepCompareLayoutEffect(callback, [dependencies]));
+  expect(callback).toHaveBeenCalledTimes(1);
+
+  // Should not be called when dependencies are changed to a new object with same properties.
+  dependencies = {a: 'b'}
+  rerender();
+  expect(callback).toHaveBeenCalledTimes(1);
+
+  // Should be called when dependencies are changed to a new object with different properties.
+  dependencies = {a: 'c'}
+  rerender();
+  expect(callback).toHaveBeenCalledTimes(2);
+});
+
+
+test('useDeepCompareImperativeHandle with object', () => {
+  const ref = React.createRef()
+  const create = jest.fn(() => ({options: dependencies}))
+
+  let dependencies = {a: 'b'}
+  const { rerender } = renderHook(() => useDeepCompareImperativeHandle(ref, create, [dependencies]));
+  expect(ref.current).toStrictEqual({options: {a: 'b'}});
+
+  // Should not recreate the handle when dependencies are changed to a new object with same properties.
+  dependencies = {a: 'b'}
+  rerender();
+  expect(create).toHaveBeenCalledTimes(1);
+
+  // Should recreate it when dependencies are changed to a new object with different properties.
+  dependencies = {a: 'c'}
+  rerender();
+  expect(create).toHaveBeenCalledTimes(2);
+  expect(ref.current).toStrictEqual({options: {a: 'c'}});
+});
+
+
 test('useDeepCompareCallback with object', () => {
   let dependencies = {a: 'b'}
   const { result, rerender } = renderHook(() => useDeepCompareCallback(() => {jest.fn()}, [dependencies]));
@@ -324,45 +1594,361 @@ test('useDeepCompareCallback with object', () => {
 });
 
 
-test('useOnClickOutSide event setup and cleaning', () => {
-  // Set up our own mock event handling for the testing
-  const map = {};
-  document.addEventListener = jest.fn((event, listener) => {
-    map[event] = listener;
-  });
-  document.removeEventListener = jest.fn((event, listener) => {
-    delete map[event];
-  });
+test('useDeepCompareEffect warns about dependencies', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  renderHook(() => useDeepCompareEffect(() => {}, [1, 'a']));
+  expect(warn).toHaveBeenLastCalledWith(expect.stringContaining('Use useEffect instead.'));
+
+  renderHook(() => useDeepCompareCallback(() => {}, []));
+  expect(warn).toHaveBeenLastCalledWith('useDeepCompareCallback was called with no dependencies. Use useCallback instead.');
+
+  renderHook(() => useDeepCompareMemo(() => {}));
+  expect(warn).toHaveBeenLastCalledWith(expect.stringContaining('without an array of dependencies'));
+
+  // Should only warn on the first render, and not at all in production.
+  const { rerender } = renderHook(() => useDeepCompareEffect(() => {}, [{a: 'b'}]));
+  rerender();
+  expect(warn).toHaveBeenCalledTimes(3);
+
+  process.env.NODE_ENV = 'production';
+  renderHook(() => useDeepCompareEffect(() => {}, []));
+  process.env.NODE_ENV = 'test';
+  expect(warn).toHaveBeenCalledTimes(3);
+  warn.mockRestore();
+});
+
+
+test('useDeepCompareEffect logs changed dependencies', () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  setDeepCompareDiagnostics(true);
+
+  let dependencies = {a: {b: [1, 2]}, c: 'd'}
+  const { rerender } = renderHook(() => useDeepCompareEffect(() => {}, [dependencies, 'e']));
+  dependencies = {a: {b: [1, 3]}, c: 'd'}
+  rerender();
+  expect(log).toHaveBeenCalledWith(
+    'useDeepCompareEffect dependencies changed at [0].a.b[1]',
+    [{path: '[0].a.b[1]', previous: 2, next: 3}]
+  );
+
+  // Should not log unless enabled.
+  setDeepCompareDiagnostics(false);
+  dependencies = {a: {b: [1, 4]}, c: 'd'}
+  rerender();
+  expect(log).toHaveBeenCalledTimes(1);
+  log.mockRestore();
+});
+
+
+test('useOnClickOutside event setup and cleaning', () => {
+  const addEventListener = jest.spyOn(document, 'addEventListener');
+  const removeEventListener = jest.spyOn(document, 'removeEventListener');
 
   // Defined outside of the hook so we can reference them in the expect.
   const handler = jest.fn()
-  const ref = {current: {}}
+  const ref = {current: document.createElement('div')}
+  let enabled = false
+
+  // Event listener should not be setup while disabled
+  const { rerender, unmount } = renderHook(() => useOnClickOutside(ref, handler, {enabled}));
+  expect(addEventListener).not.toHaveBeenCalledWith('pointerdown', expect.anything(), expect.anything());
 
   // Event listener should be setup
-  const { rerender, unmount } = renderHook(() => useOnClickOutSide(ref, handler));
-  expect(Object.keys(map)).toHaveLength(1)
+  enabled = true
+  rerender()
+  expect(addEventListener).toHaveBeenCalledWith('pointerdown', expect.any(Function), {capture: true});
 
   // Event listener should be removed on unmount
   unmount()
-  expect(Object.keys(map)).toHaveLength(0)
+  expect(removeEventListener).toHaveBeenCalledWith('pointerdown', expect.any(Function), {capture: true});
+
+  addEventListener.mockRestore();
+  removeEventListener.mockRestore();
 });
 
 
-test('useOnClickOutSide event handling', () => {
-  // Set up our own mock event handling for the testing
-  const map = {};
-  document.addEventListener = jest.fn((event, listener) => {
-    map[event] = listener;
-  });
+test('useOnClickOutside event handling', () => {
+  const popover = document.createElement('div');
+  const item = document.createElement('span');
+  popover.appendChild(item);
+  const button = document.createElement('button');
+  const outside = document.createElement('div');
+  document.body.append(popover, button, outside);
 
   const handler = jest.fn()
-  const ref = {current: {contains: () => false}}
-  const { rerender, unmount } = renderHook(() => useOnClickOutSide(ref, handler));
+  const refs = [{current: popover}, {current: button}]
+  const { unmount } = renderHook(() => useOnClickOutSide(refs, handler, {events: ['pointerdown', 'mousedown']}));
+
+  // Events inside any of the elements should be ignored
+  item.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  button.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(handler).not.toHaveBeenCalled();
+
+  // Events outside should call the handler
+  outside.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  outside.dispatchEvent(new Event('mousedown', {bubbles: true}));
+  expect(handler).toHaveBeenCalledTimes(2);
+
+  unmount();
+  outside.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(handler).toHaveBeenCalledTimes(2);
+  document.body.innerHTML = '';
+});
 
-  // Fire fake event
-  map.onClick({target: 'some-element'})
+
+test('useOnClickOutside with shadow DOM', () => {
+  const host = document.createElement('div');
+  const shadowRoot = host.attachShadow({mode: 'open'});
+  const popover = document.createElement('div');
+  const item = document.createElement('span');
+  popover.appendChild(item);
+  shadowRoot.appendChild(popover);
+  document.body.appendChild(host);
+
+  const handler = jest.fn()
+  const { unmount } = renderHook(() => useOnClickOutside({current: popover}, handler));
+
+  // The target is retargeted to the host, but the event happened inside the popover
+  item.dispatchEvent(new Event('pointerdown', {bubbles: true, composed: true}));
+  expect(handler).not.toHaveBeenCalled();
+
+  host.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(handler).toHaveBeenCalledTimes(1);
+
+  unmount();
+  document.body.innerHTML = '';
+});
+
+
+test('useOnFocusOutside event handling', () => {
+  const popover = document.createElement('div');
+  const input = document.createElement('input');
+  popover.appendChild(input);
+  const outside = document.createElement('button');
+  document.body.append(popover, outside);
+
+  const handler = jest.fn()
+  const { unmount } = renderHook(() => useOnFocusOutside({current: popover}, handler));
+
+  input.focus();
+  expect(handler).not.toHaveBeenCalled();
+
+  outside.focus();
   expect(handler).toHaveBeenCalledTimes(1);
 
+  unmount();
+  document.body.innerHTML = '';
+});
+
+
+test('useFocusTrap', () => {
+  const trigger = document.createElement('button');
+  const dialog = document.createElement('div');
+  const first = document.createElement('button');
+  const input = document.createElement('input');
+  const last = document.createElement('button');
+  dialog.append(first, input, last);
+  const outside = document.createElement('button');
+  document.body.append(trigger, dialog, outside);
+  trigger.focus();
+
+  let active = true
+  const { rerender, unmount } = renderHook(() => useFocusTrap(
+    {current: dialog}, {active, initialFocus: {current: input}}
+  ));
+
+  // Should focus the initial focus element
+  expect(document.activeElement).toBe(input);
+
+  // Tab should cycle within the dialog
+  last.focus();
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Tab'}));
+  expect(document.activeElement).toBe(first);
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Tab', shiftKey: true}));
+  expect(document.activeElement).toBe(last);
+
+  // Focus moving outside should be moved back in
+  outside.focus();
+  expect(document.activeElement).toBe(first);
+
+  // Focus should be restored on release
+  active = false
+  rerender();
+  expect(document.activeElement).toBe(trigger);
+  outside.focus();
+  expect(document.activeElement).toBe(outside);
+
+  unmount();
+  document.body.innerHTML = '';
+});
+
+
+test('useFocusTrap with stacked dialogs', () => {
+  const outer = document.createElement('div');
+  const open = document.createElement('button');
+  const close = document.createElement('button');
+  outer.append(open, close);
+  const inner = document.createElement('div');
+  const first = document.createElement('button');
+  const last = document.createElement('button');
+  inner.append(first, last);
+  document.body.append(outer, inner);
+
+  const Inner = () => {
+    useFocusTrap({current: inner});
+    return null;
+  };
+  const Outer = ({ nested }) => {
+    useFocusTrap({current: outer});
+    return nested ? <Inner /> : null;
+  };
+
+  let renderer;
+  act(() => {
+    renderer = create(<Outer />);
+  });
+  expect(document.activeElement).toBe(open);
+
+  // Only the dialog on top should keep the focus
+  act(() => {
+    renderer.update(<Outer nested />);
+  });
+  expect(document.activeElement).toBe(first);
+  close.focus();
+  expect(document.activeElement).toBe(first);
+  last.focus();
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Tab'}));
+  expect(document.activeElement).toBe(first);
+
+  // And release it to the one below
+  act(() => {
+    renderer.update(<Outer />);
+  });
+  expect(document.activeElement).toBe(open);
+  close.focus();
+  expect(document.activeElement).toBe(close);
+  act(() => {
+    renderer.unmount();
+  });
+
+  // Dialogs opened at once should focus the one on top
+  act(() => {
+    renderer = create(<Outer nested />);
+  });
+  expect(document.activeElement).toBe(first);
+  act(() => {
+    renderer.unmount();
+  });
+  document.body.innerHTML = '';
+});
+
+
+test('useDismissableLayer dismisses the topmost layer', () => {
+  const addEventListener = jest.spyOn(document, 'addEventListener');
+  const modal = document.createElement('div');
+  const menu = document.createElement('div');
+  const outside = document.createElement('div');
+  document.body.append(modal, menu, outside);
+
+  const onModalDismiss = jest.fn()
+  const onMenuDismiss = jest.fn()
+  const modalLayer = renderHook(() => useDismissableLayer({current: modal}, onModalDismiss));
+  const menuLayer = renderHook(() => useDismissableLayer({current: menu}, onMenuDismiss));
+
+  // The layers should share a single listener per event
+  expect(addEventListener.mock.calls.filter(([type]) => type === 'pointerdown')).toHaveLength(1);
+
+  // Only the menu should be dismissed, even when clicking inside the modal
+  modal.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  outside.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(onMenuDismiss).toHaveBeenCalledTimes(2);
+  expect(onModalDismiss).not.toHaveBeenCalled();
+
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape'}));
+  expect(onMenuDismiss).toHaveBeenCalledTimes(3);
+
+  // Once the menu is unmounted the modal is the topmost layer
+  menuLayer.unmount();
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape'}));
+  expect(onModalDismiss).toHaveBeenCalledTimes(1);
+
+  modalLayer.unmount();
+  addEventListener.mockRestore();
+  document.body.innerHTML = '';
+});
+
+
+test('useDismissableLayer with nested layers', () => {
+  const modal = document.createElement('div');
+  const menu = document.createElement('div');
+  document.body.append(modal, menu);
+
+  const onModalDismiss = jest.fn()
+  const onMenuDismiss = jest.fn()
+  const Menu = () => {
+    useDismissableLayer({current: menu}, onMenuDismiss);
+    return null;
+  };
+  const Modal = ({ open }) => {
+    useDismissableLayer({current: modal}, onModalDismiss);
+    return open ? <Menu /> : null;
+  };
+
+  // The menu should be above the modal, even though its effects run first
+  let renderer;
+  act(() => {
+    renderer = create(<Modal open />);
+  });
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape'}));
+  expect(onMenuDismiss).toHaveBeenCalledTimes(1);
+  expect(onModalDismiss).not.toHaveBeenCalled();
+
+  // And be reopened above it
+  act(() => {
+    renderer.update(<Modal open={false} />);
+  });
+  act(() => {
+    renderer.update(<Modal open />);
+  });
+  modal.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(onMenuDismiss).toHaveBeenCalledTimes(2);
+  expect(onModalDismiss).not.toHaveBeenCalled();
+
+  act(() => {
+    renderer.unmount();
+  });
+  document.body.innerHTML = '';
+});
+
+
+test('useDismissableLayer with portal', () => {
+  const dialog = document.createElement('div');
+  const portal = document.createElement('div');
+  const outside = document.createElement('div');
+  document.body.append(dialog, portal, outside);
+
+  const onDismiss = jest.fn()
+  let enabled = true
+  const { rerender, unmount } = renderHook(() => useDismissableLayer(
+    [{current: dialog}, {current: portal}], onDismiss, {enabled}
+  ));
+
+  // Content in the portal should count as inside
+  portal.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(onDismiss).not.toHaveBeenCalled();
+
+  outside.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(onDismiss).toHaveBeenCalledTimes(1);
+
+  // Disabled layers should not be dismissed
+  enabled = false
+  rerender()
+  outside.dispatchEvent(new Event('pointerdown', {bubbles: true}));
+  expect(onDismiss).toHaveBeenCalledTimes(1);
+
+  unmount();
+  document.body.innerHTML = '';
 });
 
 
@@ -375,6 +1961,85 @@ test('useScript element created', () => {
 });
 
 
+test('useScript status', () => {
+  const onLoad = jest.fn()
+  const first = renderHook(() => useScript('status-script.com', onLoad));
+  const second = renderHook(() => useScript('status-script.com', onLoad));
+  expect(first.result.current).toBe('loading');
+
+  // Should share a single script tag
+  const scripts = document.querySelectorAll('script[src="status-script.com"]');
+  expect(scripts).toHaveLength(1);
+
+  const event = new Event('load');
+  act(() => {
+    scripts[0].dispatchEvent(event);
+  });
+  expect(first.result.current).toBe('ready');
+  expect(second.result.current).toBe('ready');
+  expect(onLoad).toHaveBeenCalledTimes(2);
+
+  // Late subscribers should be ready straight away
+  const late = renderHook(() => useScript('status-script.com', onLoad));
+  expect(late.result.current).toBe('ready');
+  expect(onLoad).toHaveBeenCalledTimes(3);
+  expect(onLoad).toHaveBeenLastCalledWith(event);
+
+  // And no source should be idle
+  const idle = renderHook(() => useScript(null));
+  expect(idle.result.current).toBe('idle');
+});
+
+
+test('useScript error', () => {
+  const onError = jest.fn()
+  const { result } = renderHook(() => useScript('error-script.com', undefined, onError));
+
+  act(() => {
+    document.querySelector('script[src="error-script.com"]').dispatchEvent(new Event('error'));
+  });
+  expect(result.current).toBe('error');
+  expect(onError).toHaveBeenCalledTimes(1);
+
+  // The failed script should be removed, so it's tried again
+  expect(document.querySelector('script[src="error-script.com"]')).toBeNull();
+  const retry = renderHook(() => useScript('error-script.com'));
+  expect(retry.result.current).toBe('loading');
+  expect(document.querySelector('script[src="error-script.com"]')).not.toBeNull();
+});
+
+
+test('useScript attributes and removal', () => {
+  const options = {
+    integrity: 'sha384-abc', crossOrigin: 'anonymous', nonce: 'xyz', type: 'module', defer: true,
+    referrerPolicy: 'no-referrer', target: 'head', removeOnUnmount: true,
+  };
+  const first = renderHook(() => useScript('sdk-script.com', undefined, undefined, options));
+  const second = renderHook(() => useScript('sdk-script.com', undefined, undefined, options));
+
+  const script = document.head.querySelector('script[src="sdk-script.com"]');
+  expect(script.getAttribute('integrity')).toBe('sha384-abc');
+  expect(script.getAttribute('crossorigin')).toBe('anonymous');
+  expect(script.getAttribute('nonce')).toBe('xyz');
+  expect(script.getAttribute('type')).toBe('module');
+  expect(script.getAttribute('referrerpolicy')).toBe('no-referrer');
+  expect(script.defer).toBe(true);
+  expect(script.async).toBe(false);
+
+  // Should only be removed once no component uses it
+  first.unmount();
+  expect(script.parentNode).toBe(document.head);
+  second.unmount();
+  expect(script.parentNode).toBeNull();
+
+  const again = renderHook(() => useScript('sdk-script.com', undefined, undefined, options));
+  const added = document.head.querySelector('script[src="sdk-script.com"]');
+  expect(added).not.toBeNull();
+  expect(added).not.toBe(script);
+  again.unmount();
+});
+
+
 test('useScript event setup and cleaning', () => {
   // Set up our own mock event handling for the testing
   const map = {};
@@ -391,12 +2056,14 @@ test('useScript event setup and cleaning', () => {
 
 
   // Event listener should be setup
-  const { rerender, unmount } = renderHook(() => useScript('test-script.com'));
+  const onLoad = jest.fn()
+  const { rerender, unmount } = renderHook(() => useScript('cleanup-script.com', onLoad));
   expect(Object.keys(map)).toHaveLength(2)
 
-  // Event listener should be removed on unmount
+  // The callbacks should not be called after unmount
   unmount()
-  expect(Object.keys(map)).toHaveLength(0)
+  map.load({})
+  expect(onLoad).not.toHaveBeenCalled();
 });
 
 
@@ -416,7 +2083,7 @@ test('useScript event handling', () => {
 
   const onLoad = jest.fn()
   const onError = jest.fn()
-  const { rerender, unmount } = renderHook(() => useScript('test-script.com', onLoad, onError));
+  const { rerender, unmount } = renderHook(() => useScript('handling-script.com', onLoad, onError));
 
   // Fire fake event
   map.load({})